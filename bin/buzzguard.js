@@ -0,0 +1,350 @@
+#!/usr/bin/env node
+// BuzzGuard triage from the command line
+// Usage: buzzguard <command> [arguments] [--options]   (buzzguard help lists the commands)
+// Configuration comes from the environment or a .env file in the current
+// directory; see cli/client.js for the variables
+
+require('dotenv').config();
+const fs = require('fs');
+const readline = require('readline');
+const { Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const {
+  ApiError,
+  getConfig,
+  readSession,
+  login,
+  logout,
+  request,
+  requestJson
+} = require('../cli/client');
+const {
+  truncate,
+  formatDate,
+  printTable,
+  flatten,
+  printDetails,
+  printJson
+} = require('../cli/output');
+
+// List filters accepted by list, search and export (passed to the API as camelCase)
+const FILTER_OPTIONS = [
+  'status', 'priority', 'tags', 'tag-mode', 'moderation-status', 'language', 'from', 'to',
+  'min-rating', 'max-rating', 'has-response', 'device-id', 'platform', 'app-version',
+  'firmware-version', 'error-code', 'sort', 'order'
+];
+const GLOBAL_OPTIONS = ['json', 'url', 'lang', 'help'];
+
+class UsageError extends Error {}
+
+const camelCase = (name) => name.replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+
+// "--name=value" and "--flag" options; everything else is positional
+const parseArgs = (argv) => {
+  const positional = [];
+  const options = {};
+  argv.forEach(arg => {
+    const match = /^--([\w-]+)(?:=(.*))?$/s.exec(arg);
+    if (match) options[match[1]] = match[2] === undefined ? true : match[2];
+    else positional.push(arg);
+  });
+  return { positional, options };
+};
+
+const filtersFrom = (options) => FILTER_OPTIONS
+  .filter(name => options[name] !== undefined)
+  .reduce((query, name) => ({ ...query, [camelCase(name)]: options[name] }), {});
+
+const requireId = (id) => {
+  if (!id) throw new UsageError('A feedback id is required');
+  return encodeURIComponent(id);
+};
+
+const commaList = (value) => (typeof value === 'string'
+  ? value.split(',').map(tag => tag.trim()).filter(Boolean)
+  : []);
+
+// Read a line from the terminal; with `hidden` the typed text is not echoed
+const prompt = (question, { hidden = false } = {}) => new Promise((resolve) => {
+  let muted = false;
+  const output = new Writable({
+    write(chunk, encoding, callback) {
+      if (!muted) process.stdout.write(chunk);
+      callback();
+    }
+  });
+  const rl = readline.createInterface({ input: process.stdin, output, terminal: true });
+  rl.question(question, (answer) => {
+    rl.close();
+    if (hidden) process.stdout.write('\n');
+    resolve(answer);
+  });
+  muted = hidden;
+});
+
+const readStdin = () => new Promise((resolve, reject) => {
+  let text = '';
+  process.stdin.setEncoding('utf8');
+  process.stdin.on('data', chunk => { text += chunk; });
+  process.stdin.on('end', () => resolve(text));
+  process.stdin.on('error', reject);
+});
+
+const FEEDBACK_COLUMNS = [
+  { header: 'ID', value: item => item._id, width: 24 },
+  { header: 'Created', value: item => formatDate(item.createdAt), width: 16 },
+  { header: 'Status', value: item => item.status },
+  { header: 'Priority', value: item => item.priority },
+  { header: 'Rating', value: item => item.rating },
+  { header: 'Name', value: item => item.name, flex: true },
+  { header: 'Tags', value: item => item.tags, flex: true },
+  { header: 'Message', value: item => item.message, flex: true }
+];
+
+// Fields of `show` output that duplicate others or only matter to the website
+const HIDDEN_DETAILS = ['__v', 'id', 'formattedDate', 'timeAgo', 'response.message'];
+
+// Summary line printed after a triage change
+const printItem = (message, item) => {
+  console.log(`✅ ${message}`);
+  console.log(`   ${item._id}  ${item.status}  ${item.priority}  [${(item.tags || []).join(', ')}]`);
+};
+
+const listFeedback = async (config, options, query) => {
+  const body = await requestJson(config, 'GET', '/api/feedback', {
+    query: {
+      ...filtersFrom(options),
+      ...query,
+      publicOnly: false,
+      page: options.page,
+      limit: options.limit || 20
+    }
+  });
+
+  if (options.json) return printJson({ data: body.data, pagination: body.pagination });
+
+  printTable(body.data, FEEDBACK_COLUMNS);
+  const { currentPage, totalPages, totalItems } = body.pagination;
+  if (totalItems > 0) console.log(`\nPage ${currentPage} of ${totalPages} (${totalItems} items)`);
+};
+
+const COMMANDS = {
+  login: {
+    usage: 'login [email]',
+    summary: 'Log in and save the session (password from BUZZGUARD_PASSWORD or a prompt)',
+    run: async (config, [emailArg], options) => {
+      const email = emailArg || config.email || await prompt('Email: ');
+      const password = config.password || await prompt('Password: ', { hidden: true });
+      const user = await login(config, email.trim(), password);
+      if (options.json) return printJson(user);
+      console.log(`🔐 Logged in to ${config.apiUrl} as ${user.email} (${user.role})`);
+    }
+  },
+
+  logout: {
+    usage: 'logout',
+    summary: 'Revoke the saved session',
+    run: async (config) => {
+      console.log(await logout(config) ? '👋 Logged out' : 'No saved session');
+    }
+  },
+
+  whoami: {
+    usage: 'whoami',
+    summary: 'Show the account and API in use',
+    run: async (config, args, options) => {
+      const { data } = await requestJson(config, 'GET', '/api/auth/me');
+      if (options.json) return printJson(data);
+      const session = readSession(config);
+      printDetails([
+        ['API', config.apiUrl],
+        ['Email', data.email],
+        ['Name', data.name],
+        ['Role', data.role],
+        ['Token', config.token ? 'BUZZGUARD_TOKEN' : `saved session (${session ? session.savedAt : 'new'})`]
+      ]);
+    }
+  },
+
+  list: {
+    usage: 'list [--status=new] [--priority=high] [--tags=a,b] [--page=1] [--limit=20] [filters]',
+    summary: 'List feedback, newest first',
+    options: [...FILTER_OPTIONS, 'page', 'limit'],
+    run: (config, args, options) => listFeedback(config, options, {})
+  },
+
+  search: {
+    usage: 'search <text> [filters]',
+    summary: 'Full-text search, best matches first',
+    options: [...FILTER_OPTIONS, 'page', 'limit'],
+    run: (config, words, options) => {
+      if (words.length === 0) throw new UsageError('Search text is required');
+      return listFeedback(config, options, { q: words.join(' ') });
+    }
+  },
+
+  show: {
+    usage: 'show <id>',
+    summary: 'Show one feedback item with its conversation',
+    run: async (config, [id], options) => {
+      const path = `/api/feedback/${requireId(id)}`;
+      const [{ data: item }, { data: thread }] = await Promise.all([
+        requestJson(config, 'GET', path),
+        requestJson(config, 'GET', `${path}/thread`)
+      ]);
+      if (options.json) return printJson({ ...item, conversation: thread.messages });
+
+      // The message and replies are printed as the conversation below
+      const { message, thread: followUps, attachments, ...fields } = item;
+      printDetails(flatten(fields).filter(([key]) => !HIDDEN_DETAILS.includes(key)));
+      (attachments || []).forEach(attachment => {
+        console.log(`📎 ${attachment.fileName} (${attachment.kind}, ${attachment.contentType}, ${attachment.size} bytes)`);
+      });
+
+      console.log('\nConversation:');
+      thread.messages.forEach(entry => {
+        console.log(`\n  ${formatDate(entry.createdAt)}  ${entry.authorName || entry.authorType} (${entry.authorType})`);
+        entry.body.split('\n').forEach(line => console.log(`  ${line}`));
+      });
+    }
+  },
+
+  set: {
+    usage: 'set <id> [--status=read] [--priority=high] [--add-tags=a,b] [--remove-tags=c] [--public|--private]',
+    summary: 'Change status, priority, tags or visibility',
+    options: ['status', 'priority', 'add-tags', 'remove-tags', 'public', 'private'],
+    run: async (config, [id], options) => {
+      const update = {};
+      if (options.status) update.status = options.status;
+      if (options.priority) update.priority = options.priority;
+      if (options.public) update.isPublic = true;
+      if (options.private) update.isPublic = false;
+      if (options['add-tags'] || options['remove-tags']) {
+        update.tags = { add: commaList(options['add-tags']), remove: commaList(options['remove-tags']) };
+      }
+
+      const body = await requestJson(config, 'PATCH', `/api/feedback/${requireId(id)}`, { body: update });
+      if (options.json) return printJson(body.data);
+      printItem(body.message, body.data);
+    }
+  },
+
+  reply: {
+    usage: 'reply <id> <message|-> [--responded-by=name]',
+    summary: 'Email a reply to the submitter ("-" reads the message from stdin)',
+    options: ['responded-by'],
+    run: async (config, [id, ...words], options) => {
+      const message = words.join(' ') === '-' ? await readStdin() : words.join(' ');
+      if (!message.trim()) throw new UsageError('A reply message is required');
+
+      const body = await requestJson(config, 'POST', `/api/feedback/${requireId(id)}/reply`, {
+        body: { message, respondedBy: options['responded-by'] }
+      });
+      if (options.json) return printJson(body.data);
+      printItem(body.message, body.data);
+    }
+  },
+
+  delete: {
+    usage: 'delete <id> [--permanent]',
+    summary: 'Move feedback to the trash (--permanent purges an item already in the trash)',
+    options: ['permanent'],
+    run: async (config, [id], options) => {
+      const path = `/api/feedback/${requireId(id)}${options.permanent ? '/permanent' : ''}`;
+      const body = await requestJson(config, 'DELETE', path);
+      if (options.json) return printJson(body.data || null);
+      console.log(`🗑️  ${body.message}`);
+    }
+  },
+
+  restore: {
+    usage: 'restore <id>',
+    summary: 'Restore feedback from the trash',
+    run: async (config, [id], options) => {
+      const body = await requestJson(config, 'POST', `/api/feedback/${requireId(id)}/restore`);
+      if (options.json) return printJson(body.data);
+      printItem(body.message, body.data);
+    }
+  },
+
+  stats: {
+    usage: 'stats',
+    summary: 'Feedback statistics (counts, ratings and votes)',
+    run: async (config, args, options) => {
+      const { data } = await requestJson(config, 'GET', '/api/feedback/stats');
+      if (options.json) return printJson(data);
+
+      const { votes: { trending, ...votes }, ...stats } = data;
+      printDetails(flatten({ ...stats, votes }));
+      if (trending.length > 0) {
+        console.log('\nTrending this week:');
+        printTable(trending, [
+          { header: 'ID', value: item => item.id, width: 24 },
+          { header: 'Net votes (7d)', value: item => item.netVotes7d },
+          { header: 'Message', value: item => truncate(item.message, 200), flex: true }
+        ]);
+      }
+    }
+  },
+
+  export: {
+    usage: 'export [--format=csv|json|ndjson] [--columns=id,name,...] [--output=file] [filters]',
+    summary: 'Export feedback to a file or stdout',
+    options: [...FILTER_OPTIONS, 'format', 'columns', 'include-sensitive', 'output'],
+    run: async (config, args, options) => {
+      const response = await request(config, 'GET', '/api/feedback/export', {
+        query: {
+          ...filtersFrom(options),
+          format: options.format,
+          columns: options.columns,
+          includeSensitive: options['include-sensitive'] ? true : undefined
+        }
+      });
+
+      if (!options.output) return pipeline(response, process.stdout);
+      await pipeline(response, fs.createWriteStream(options.output));
+      console.error(`✅ Exported to ${options.output}`);
+    }
+  }
+};
+
+const printHelp = () => {
+  console.log('Usage: buzzguard <command> [arguments] [--options]\n');
+  Object.values(COMMANDS).forEach(command => {
+    console.log(`  ${command.usage}\n      ${command.summary}`);
+  });
+  console.log(`\nFilters: ${FILTER_OPTIONS.map(name => `--${name}`).join(' ')}`);
+  console.log('Global options: --json (machine-readable output), --url=<api url>, --lang=<language>');
+};
+
+async function main() {
+  const [name, ...argv] = process.argv.slice(2);
+  const { positional, options } = parseArgs(argv);
+  const command = COMMANDS[name];
+
+  if (!command || options.help) {
+    printHelp();
+    process.exit(!name || name === 'help' || options.help ? 0 : 1);
+  }
+
+  try {
+    const unknown = Object.keys(options)
+      .find(option => !GLOBAL_OPTIONS.includes(option) && !(command.options || []).includes(option));
+    if (unknown) throw new UsageError(`Unknown option --${unknown} for "${name}"`);
+
+    await command.run(getConfig(options), positional, options);
+    process.exit(0);
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`❌ ${error.message}\nUsage: buzzguard ${command.usage}`);
+    } else if (error instanceof ApiError) {
+      console.error(`❌ ${error.message}`);
+      (error.details || []).slice(1).forEach(detail => console.error(`   ${detail}`));
+    } else {
+      console.error('❌ Command failed:', error.message);
+    }
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,195 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+
+// HTTP client for the buzzguard command-line tool
+// The CLI goes through the API rather than the database so every change is
+// checked against the caller's role, written to the audit log and sent to
+// webhooks and the live feed exactly as if it came from the dashboard
+
+// Configuration (read from the environment / .env):
+//   BUZZGUARD_API_URL      API base URL (default http://localhost:$PORT)
+//   BUZZGUARD_TOKEN        Admin token to use instead of logging in
+//   BUZZGUARD_EMAIL        Account to log in with when there is no saved session
+//   BUZZGUARD_PASSWORD     Its password (otherwise `buzzguard login` asks for it)
+//   BUZZGUARD_SESSION_FILE Where `buzzguard login` keeps the token (default ~/.buzzguard-session.json)
+//   BUZZGUARD_LANG         Language for API messages (see GET / for the list)
+
+const REQUEST_TIMEOUT_MS = 30000;
+
+class ApiError extends Error {
+  constructor(message, status, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const getConfig = (overrides = {}) => ({
+  apiUrl: (overrides.url || process.env.BUZZGUARD_API_URL || `http://localhost:${process.env.PORT || 5000}`)
+    .replace(/\/+$/, ''),
+  token: process.env.BUZZGUARD_TOKEN,
+  email: process.env.BUZZGUARD_EMAIL,
+  password: process.env.BUZZGUARD_PASSWORD,
+  sessionFile: process.env.BUZZGUARD_SESSION_FILE || path.join(os.homedir(), '.buzzguard-session.json'),
+  language: overrides.lang || process.env.BUZZGUARD_LANG
+});
+
+// Saved sessions are per API URL, so switching BUZZGUARD_API_URL between
+// staging and production never sends one server's token to the other
+const readSession = (config) => {
+  try {
+    const sessions = JSON.parse(fs.readFileSync(config.sessionFile, 'utf8'));
+    return sessions[config.apiUrl] || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const writeSession = (config, session) => {
+  let sessions = {};
+  try {
+    sessions = JSON.parse(fs.readFileSync(config.sessionFile, 'utf8'));
+  } catch (error) {
+    // No sessions saved yet
+  }
+
+  if (session) sessions[config.apiUrl] = session;
+  else delete sessions[config.apiUrl];
+
+  // Readable by the current user only: the file holds bearer tokens
+  fs.writeFileSync(config.sessionFile, JSON.stringify(sessions, null, 2), { mode: 0o600 });
+};
+
+const buildUrl = (config, pathname, query = {}) => {
+  const url = new URL(`${config.apiUrl}${pathname}`);
+  Object.entries(query)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .forEach(([key, value]) => url.searchParams.set(key, String(value)));
+  return url;
+};
+
+// Send one request; resolves to the response stream so callers can either
+// parse JSON or pipe the body (exports)
+const send = (config, method, pathname, { query, body, token } = {}) => new Promise((resolve, reject) => {
+  const target = buildUrl(config, pathname, query);
+  const client = target.protocol === 'https:' ? https : http;
+  const payload = body === undefined ? null : JSON.stringify(body);
+
+  const request = client.request(target, {
+    method,
+    headers: {
+      Accept: 'application/json',
+      'User-Agent': 'BuzzGuard-CLI/1.0',
+      ...(payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {}),
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      ...(config.language ? { 'Accept-Language': config.language } : {})
+    },
+    timeout: REQUEST_TIMEOUT_MS
+  }, resolve);
+
+  request.on('timeout', () => request.destroy(new Error(`No response from ${config.apiUrl} within ${REQUEST_TIMEOUT_MS / 1000}s`)));
+  request.on('error', (error) => {
+    reject(error.code === 'ECONNREFUSED'
+      ? new ApiError(`Cannot reach the API at ${config.apiUrl} (set BUZZGUARD_API_URL)`)
+      : error);
+  });
+  if (payload) request.write(payload);
+  request.end();
+});
+
+const readJson = (response) => new Promise((resolve, reject) => {
+  let text = '';
+  response.setEncoding('utf8');
+  response.on('data', chunk => { text += chunk; });
+  response.on('error', reject);
+  response.on('end', () => {
+    try {
+      resolve(JSON.parse(text));
+    } catch (error) {
+      reject(new ApiError(`Unexpected response from the API (HTTP ${response.statusCode})`, response.statusCode));
+    }
+  });
+});
+
+// Turn an error response ({ success: false, error, message, details }) into an ApiError
+const checkResponse = async (response) => {
+  if (response.statusCode < 400) return response;
+  const body = await readJson(response);
+  throw new ApiError(body.message || body.error || `HTTP ${response.statusCode}`, response.statusCode, body.details);
+};
+
+const login = async (config, email, password) => {
+  const response = await checkResponse(await send(config, 'POST', '/api/auth/login', {
+    body: { email, password }
+  }));
+  const { data } = await readJson(response);
+  const session = { token: data.token, email: data.user.email, role: data.user.role, savedAt: new Date().toISOString() };
+  writeSession(config, session);
+  return data.user;
+};
+
+// Token for the next request: BUZZGUARD_TOKEN, the saved session, or a fresh
+// login with BUZZGUARD_EMAIL / BUZZGUARD_PASSWORD
+const getToken = async (config) => {
+  if (config.token) return config.token;
+
+  const session = readSession(config);
+  if (session) return session.token;
+
+  if (config.email && config.password) {
+    await login(config, config.email, config.password);
+    return readSession(config).token;
+  }
+
+  throw new ApiError('Not logged in. Run "buzzguard login" or set BUZZGUARD_TOKEN.', 401);
+};
+
+// Authenticated request; an expired saved session is dropped and, when
+// credentials are configured, replaced by a new login once
+const request = async (config, method, pathname, options = {}) => {
+  const token = await getToken(config);
+  let response = await send(config, method, pathname, { ...options, token });
+
+  if (response.statusCode === 401 && !config.token && readSession(config)) {
+    response.resume();
+    writeSession(config, null);
+    if (!config.email || !config.password) {
+      throw new ApiError('Your session has expired. Run "buzzguard login" again.', 401);
+    }
+    response = await send(config, method, pathname, { ...options, token: await getToken(config) });
+  }
+
+  return checkResponse(response);
+};
+
+// Authenticated JSON request; resolves to the full response body
+const requestJson = async (config, method, pathname, options) =>
+  readJson(await request(config, method, pathname, options));
+
+// Revoke the saved token on the server and forget it locally
+const logout = async (config) => {
+  const session = readSession(config);
+  if (!session) return false;
+
+  try {
+    const response = await send(config, 'POST', '/api/auth/logout', { token: session.token });
+    response.resume();
+  } finally {
+    writeSession(config, null);
+  }
+  return true;
+};
+
+module.exports = {
+  ApiError,
+  getConfig,
+  readSession,
+  login,
+  logout,
+  request,
+  requestJson
+};
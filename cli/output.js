@@ -0,0 +1,84 @@
+// Terminal output for the buzzguard command-line tool
+// Every command prints either human-readable text (tables and key/value lists)
+// or, with --json, the API's data as JSON for scripts
+
+const DEFAULT_WIDTH = 120;
+
+const terminalWidth = () => process.stdout.columns || DEFAULT_WIDTH;
+
+// Single line, cut to `width` characters with an ellipsis
+const truncate = (value, width) => {
+  const text = String(value === undefined || value === null ? '' : value).replace(/\s+/g, ' ').trim();
+  if (width <= 0) return '';
+  return text.length > width ? `${text.slice(0, Math.max(width - 1, 0))}…` : text;
+};
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 16).replace('T', ' ') : '');
+
+const formatValue = (value) => {
+  if (value === undefined || value === null || value === '') return '–';
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : '–';
+  if (value instanceof Date) return value.toISOString();
+  return String(value);
+};
+
+// columns: [{ header, value: row => text, width?, flex? }]; flex columns share
+// whatever space the terminal has left (at least 10 characters each), narrow
+// ones first so the space they do not need goes to the others
+const printTable = (rows, columns) => {
+  if (rows.length === 0) {
+    console.log('No results');
+    return;
+  }
+
+  const cells = rows.map(row => columns.map(column => formatValue(column.value(row))));
+  const widths = columns.map((column, index) => column.width ||
+    Math.max(column.header.length, ...cells.map(row => row[index].length)));
+
+  const flexible = columns
+    .map((column, index) => index)
+    .filter(index => columns[index].flex)
+    .sort((a, b) => widths[a] - widths[b]);
+  let remaining = terminalWidth() -
+    widths.reduce((sum, width, index) => sum + (columns[index].flex ? 0 : width + 2), 0);
+  flexible.forEach((index, position) => {
+    const share = Math.max(Math.floor(remaining / (flexible.length - position)) - 2, 10);
+    widths[index] = Math.min(widths[index], share);
+    remaining -= widths[index] + 2;
+  });
+
+  const line = (values) => values
+    .map((value, index) => truncate(value, widths[index]).padEnd(widths[index]))
+    .join('  ')
+    .trimEnd();
+
+  console.log(line(columns.map(column => column.header)));
+  console.log(widths.map(width => '-'.repeat(width)).join('  '));
+  cells.forEach(row => console.log(line(row)));
+};
+
+// Nested objects become dotted keys: { votes: { up: 2 } } -> votes.up
+const flatten = (object, prefix = '') => Object.entries(object).reduce((entries, [key, value]) => {
+  const name = prefix ? `${prefix}.${key}` : key;
+  if (value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+    return [...entries, ...flatten(value, name)];
+  }
+  return [...entries, [name, value]];
+}, []);
+
+// Aligned "key: value" lines
+const printDetails = (entries) => {
+  const width = Math.max(...entries.map(([key]) => key.length));
+  entries.forEach(([key, value]) => console.log(`${`${key}:`.padEnd(width + 2)}${formatValue(value)}`));
+};
+
+const printJson = (value) => console.log(JSON.stringify(value, null, 2));
+
+module.exports = {
+  truncate,
+  formatDate,
+  printTable,
+  flatten,
+  printDetails,
+  printJson
+};
@@ -4,10 +4,37 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const compression = require('compression');
+const crypto = require('crypto');
 require('dotenv').config();
+const { version } = require('./package.json');
 
 // Import routes
 const feedbackRoutes = require('./routes/feedback');
+const authRoutes = require('./routes/auth');
+const adminUserRoutes = require('./routes/adminUsers');
+const taggingRuleRoutes = require('./routes/taggingRules');
+const moderationRoutes = require('./routes/moderation');
+const privacyRoutes = require('./routes/privacy');
+const adminPrivacyRoutes = require('./routes/adminPrivacy');
+const auditRoutes = require('./routes/audit');
+const webhookRoutes = require('./routes/webhooks');
+const deviceKeyRoutes = require('./routes/deviceKeys');
+const { seedDefaultRules } = require('./services/autoTagger');
+const { runStartupMigrations } = require('./services/migrations');
+const { localize } = require('./middleware/locale');
+const { getLanguages } = require('./services/i18n');
+const {
+  describeRoute,
+  listRoutes,
+  groupEndpoints,
+  publicRoutes,
+  buildOpenApiSpec,
+  renderDocsPage
+} = require('./services/openapi');
+const { schedulePrivacyJob } = require('./jobs/privacyRetention');
+const { scheduleTrashPurge } = require('./jobs/purgeTrash');
+const { scheduleUnverifiedPurge } = require('./jobs/purgeUnverified');
+const { startWebhookQueue } = require('./jobs/webhookQueue');
 
 // Initialize Express app
 const app = express();
@@ -17,13 +44,16 @@ const PORT = process.env.PORT || 5000;
 app.use(helmet());
 app.use(compression());
 
+// Response language (Accept-Language or ?lang=); sets req.t for messages
+app.use(localize);
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per windowMs
-  message: {
-    error: 'Too many requests from this IP, please try again later.',
-  },
+  message: (req) => ({
+    error: req.t('Too many requests from this IP, please try again later.'),
+  }),
   standardHeaders: true,
   legacyHeaders: false,
 });
@@ -56,6 +86,9 @@ app.use(cors(corsOptions));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Again, now that a `lang` body field can be read (multipart forms: see routes/feedback)
+app.use(localize);
+
 // MongoDB connection
 const connectDB = async () => {
   try {
@@ -71,6 +104,22 @@ const connectDB = async () => {
     
     console.log('✅ MongoDB Connected Successfully');
     console.log(`📍 Database: ${mongoose.connection.name}`);
+
+    // Apply (or warn about) pending migrations before anything reads the data
+    await runStartupMigrations();
+
+    // First start: install the default auto-tagging rules
+    await seedDefaultRules();
+
+    // IP anonymization, retention and trash purging, daily
+    schedulePrivacyJob();
+    scheduleTrashPurge();
+
+    // Unverified submissions (and their attachments) once the link has expired, hourly
+    scheduleUnverifiedPurge();
+
+    // Send queued webhook deliveries (including ones left over from a restart)
+    startWebhookQueue();
   } catch (error) {
     console.error('❌ MongoDB connection error:', error.message);
     process.exit(1);
@@ -78,52 +127,97 @@ const connectDB = async () => {
 };
 
 // Connect to database
-connectDB();
+const databaseReady = connectDB();
+
+// API routers by mount path (and OpenAPI tag)
+const API_ROUTERS = [
+  { path: '/api/feedback', router: feedbackRoutes, tag: 'feedback' },
+  { path: '/api/auth', router: authRoutes, tag: 'auth' },
+  { path: '/api/admin/users', router: adminUserRoutes, tag: 'adminUsers' },
+  { path: '/api/admin/tagging-rules', router: taggingRuleRoutes, tag: 'taggingRules' },
+  { path: '/api/admin/moderation', router: moderationRoutes, tag: 'moderation' },
+  { path: '/api/privacy', router: privacyRoutes, tag: 'privacy' },
+  { path: '/api/admin/privacy', router: adminPrivacyRoutes, tag: 'privacy' },
+  { path: '/api/admin/audit', router: auditRoutes, tag: 'audit' },
+  { path: '/api/admin/webhooks', router: webhookRoutes, tag: 'webhooks' },
+  { path: '/api/admin/device-keys', router: deviceKeyRoutes, tag: 'deviceKeys' }
+];
+
+// Every registered route, read once all routes are in place (see services/openapi)
+// The root route, the 404 handler and /openapi.json are all built from it
+let routeList = null;
+let apiSpec = null;
+const getRoutes = () => {
+  if (!routeList) {
+    routeList = listRoutes([{ path: '', router: app._router, tag: 'server' }, ...API_ROUTERS]);
+  }
+  return routeList;
+};
+const getApiSpec = () => {
+  if (!apiSpec) {
+    apiSpec = buildOpenApiSpec(getRoutes(), {
+      title: 'BuzzGuard Feedback API',
+      version,
+      description: 'Feedback collection, triage and reporting for BuzzGuard. ' +
+        'Messages follow Accept-Language or a `lang` parameter. ' +
+        'Every route also counts towards a limit of 100 requests per 15 minutes per IP.'
+    });
+  }
+  return apiSpec;
+};
 
 // Root route
-app.get('/', (req, res) => {
+app.get('/', describeRoute({ summary: 'API information and endpoint list' }), (req, res) => {
   res.json({
     message: '🚁 BuzzGuard Feedback API Server',
-    version: '1.0.0',
+    version,
     status: 'Active',
-    endpoints: {
-      feedback: {
-        'POST /api/feedback': 'Submit new feedback',
-        'GET /api/feedback': 'Get all feedback (with pagination)',
-        'GET /api/feedback/recent': 'Get recent feedback',
-        'DELETE /api/feedback/:id': 'Delete feedback (admin only)'
-      }
-    },
+    languages: getLanguages(),
+    documentation: { openapi: '/openapi.json', docs: '/docs' },
+    endpoints: groupEndpoints(getRoutes()),
     timestamp: new Date().toISOString()
   });
 });
 
 // Health check route
-app.get('/health', (req, res) => {
+app.get('/health', describeRoute({ summary: 'Server health check' }), (req, res) => {
   res.status(200).json({
     status: 'OK',
-    message: 'Server is running',
+    message: req.t('Server is running'),
     uptime: process.uptime(),
     timestamp: new Date().toISOString(),
     database: mongoose.connection.readyState === 1 ? 'Connected' : 'Disconnected'
   });
 });
 
+// OpenAPI document and interactive docs
+app.get('/openapi.json', describeRoute({ summary: 'OpenAPI 3 description of this API' }), (req, res) => {
+  res.json(getApiSpec());
+});
+
+app.get('/docs', describeRoute({ summary: 'Interactive API documentation', produces: ['text/html'] }), (req, res) => {
+  // The page loads Swagger UI from a CDN, so it gets its own content security policy
+  const nonce = crypto.randomBytes(16).toString('base64');
+  res.set('Content-Security-Policy', [
+    "default-src 'self'",
+    `script-src 'nonce-${nonce}' https://unpkg.com`,
+    "style-src 'self' 'unsafe-inline' https://unpkg.com",
+    "img-src 'self' data: https://unpkg.com",
+    "connect-src 'self'"
+  ].join('; '));
+  res.type('html').send(renderDocsPage({ specUrl: '/openapi.json', nonce }));
+});
+
 // API routes
-app.use('/api/feedback', feedbackRoutes);
+API_ROUTERS.forEach(({ path, router }) => app.use(path, router));
 
 // 404 handler
 app.use('*', (req, res) => {
   res.status(404).json({
     error: 'Route not found',
-    message: `Cannot ${req.method} ${req.originalUrl}`,
-    availableRoutes: [
-      'GET /',
-      'GET /health',
-      'POST /api/feedback',
-      'GET /api/feedback',
-      'GET /api/feedback/recent'
-    ]
+    message: req.t('Cannot {{method}} {{url}}', { method: req.method, url: req.originalUrl }),
+    availableRoutes: publicRoutes(getRoutes()),
+    documentation: '/docs'
   });
 });
 
@@ -135,20 +229,20 @@ app.use((error, req, res, next) => {
     return res.status(400).json({
       error: 'Validation Error',
       message: error.message,
-      details: Object.values(error.errors).map(err => err.message)
+      details: Object.values(error.errors).map(err => req.t(err.message))
     });
   }
   
   if (error.name === 'CastError') {
     return res.status(400).json({
       error: 'Invalid ID format',
-      message: 'The provided ID is not valid'
+      message: req.t('The provided ID is not valid')
     });
   }
   
   res.status(error.status || 500).json({
     error: 'Internal Server Error',
-    message: process.env.NODE_ENV === 'production' ? 'Something went wrong!' : error.message
+    message: process.env.NODE_ENV === 'production' ? req.t('Something went wrong!') : error.message
   });
 });
 
@@ -165,11 +259,14 @@ process.on('SIGINT', async () => {
   process.exit(0);
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 BuzzGuard Feedback API Server running on port ${PORT}`);
-  console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`📡 API Base URL: http://localhost:${PORT}`);
+// Start server once the database is connected and migrations have run, so no
+// request sees half-migrated data
+databaseReady.then(() => {
+  app.listen(PORT, () => {
+    console.log(`🚀 BuzzGuard Feedback API Server running on port ${PORT}`);
+    console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log(`📡 API Base URL: http://localhost:${PORT}`);
+  });
 });
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,148 @@
+const Feedback = require('../models/Feedback');
+const { anonymizeIp } = require('../services/privacy');
+const { removeAttachmentsMatching } = require('../services/attachments');
+const { removeVotesFor } = require('../services/voting');
+
+// Scheduled privacy maintenance
+// 1. IP addresses older than IP_ANONYMIZE_DAYS are truncated (last IPv4 octet,
+//    or everything after the /48 prefix for IPv6)
+// 2. Feedback older than RETENTION_DAYS is archived or purged (RETENTION_ACTION)
+// Each run produces a report; the last one is kept in memory for the admin API
+
+const BATCH_SIZE = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const state = {
+  status: 'idle',
+  lastReport: null,
+  error: null
+};
+
+let intervalTimer = null;
+
+const getSettings = () => ({
+  ipAnonymizeDays: parseInt(process.env.IP_ANONYMIZE_DAYS || '30'),
+  retentionDays: parseInt(process.env.RETENTION_DAYS || '0'),
+  retentionAction: process.env.RETENTION_ACTION === 'purge' ? 'purge' : 'archive'
+});
+
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS);
+
+const anonymizeOldIps = async (days, dryRun) => {
+  if (!days) return { enabled: false };
+
+  const cutoff = daysAgo(days);
+  const filter = {
+    createdAt: { $lt: cutoff },
+    ipAddress: { $nin: [null, ''] },
+    ipAnonymized: { $ne: true }
+  };
+
+  if (dryRun) {
+    const affected = await Feedback.countDocuments(filter).setOptions({ withDeleted: true });
+    return { enabled: true, olderThanDays: days, cutoff, affected };
+  }
+
+  // Trashed feedback is anonymized too
+  const cursor = Feedback.find(filter)
+    .setOptions({ withDeleted: true })
+    .select('ipAddress')
+    .lean()
+    .cursor({ batchSize: BATCH_SIZE });
+  let affected = 0;
+  let operations = [];
+  const flush = async () => {
+    if (operations.length === 0) return;
+    const result = await Feedback.bulkWrite(operations, { ordered: false });
+    affected += result.modifiedCount;
+    operations = [];
+  };
+
+  for await (const feedback of cursor) {
+    operations.push({
+      updateOne: {
+        filter: { _id: feedback._id },
+        update: { $set: { ipAddress: anonymizeIp(feedback.ipAddress), ipAnonymized: true } },
+        timestamps: false
+      }
+    });
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  return { enabled: true, olderThanDays: days, cutoff, affected };
+};
+
+const applyRetention = async (days, action, dryRun) => {
+  if (!days) return { enabled: false };
+
+  const cutoff = daysAgo(days);
+  const filter = { createdAt: { $lt: cutoff } };
+  if (action === 'archive') filter.status = { $ne: 'archived' };
+
+  let affected;
+  if (dryRun) {
+    // Purging also removes trashed feedback; archiving leaves it alone
+    affected = await Feedback.countDocuments(filter).setOptions({ withDeleted: action === 'purge' });
+  } else if (action === 'purge') {
+    const ids = await Feedback.distinct('_id', filter).setOptions({ withDeleted: true });
+    await removeAttachmentsMatching(filter);
+    await removeVotesFor(ids);
+    affected = (await Feedback.deleteMany({ _id: { $in: ids } })).deletedCount;
+  } else {
+    affected = (await Feedback.updateMany(filter, { $set: { status: 'archived' } })).modifiedCount;
+  }
+
+  return { enabled: true, action, olderThanDays: days, cutoff, affected };
+};
+
+// Run both steps; dryRun reports what would change without touching anything
+const runPrivacyJob = async ({ dryRun = false, trigger = 'manual' } = {}) => {
+  if (state.status === 'running') {
+    const error = new Error('A privacy job is already running');
+    error.status = 409;
+    throw error;
+  }
+
+  const settings = getSettings();
+  const report = { trigger, dryRun, startedAt: new Date() };
+  state.status = 'running';
+  state.error = null;
+
+  try {
+    report.ipAnonymization = await anonymizeOldIps(settings.ipAnonymizeDays, dryRun);
+    report.retention = await applyRetention(settings.retentionDays, settings.retentionAction, dryRun);
+    report.finishedAt = new Date();
+    state.status = 'idle';
+
+    if (!dryRun) {
+      state.lastReport = report;
+      console.log(`🔒 Privacy job: ${report.ipAnonymization.affected || 0} IPs anonymized, ${report.retention.affected || 0} entries ${settings.retentionAction === 'purge' ? 'purged' : 'archived'}`);
+    }
+    return report;
+  } catch (error) {
+    state.status = 'idle';
+    state.error = error.message;
+    console.error('Error running privacy job:', error);
+    throw error;
+  }
+};
+
+// Run once now and then every PRIVACY_JOB_INTERVAL_HOURS (default 24)
+const schedulePrivacyJob = () => {
+  const hours = parseInt(process.env.PRIVACY_JOB_INTERVAL_HOURS || '24');
+  const run = () => runPrivacyJob({ trigger: 'scheduled' }).catch(() => {});
+
+  clearInterval(intervalTimer);
+  run();
+  intervalTimer = setInterval(run, hours * 60 * 60 * 1000);
+  intervalTimer.unref();
+};
+
+const getPrivacyJobStatus = () => ({ ...state, settings: getSettings() });
+
+module.exports = {
+  runPrivacyJob,
+  schedulePrivacyJob,
+  getPrivacyJobStatus
+};
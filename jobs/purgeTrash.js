@@ -0,0 +1,48 @@
+const Feedback = require('../models/Feedback');
+const { removeAttachmentsMatching } = require('../services/attachments');
+const { removeVotesFor } = require('../services/voting');
+
+// Permanently delete feedback that has been in the trash longer than
+// TRASH_RETENTION_DAYS (default 30; 0 keeps trashed feedback until purged by hand)
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let intervalTimer = null;
+
+const getTrashRetentionDays = () => parseInt(process.env.TRASH_RETENTION_DAYS || '30');
+
+const purgeExpiredTrash = async () => {
+  const days = getTrashRetentionDays();
+  if (!days) return 0;
+
+  const cutoff = new Date(Date.now() - days * DAY_MS);
+  const filter = { deletedAt: { $ne: null, $lt: cutoff } };
+  const ids = await Feedback.distinct('_id', filter);
+  if (ids.length === 0) return 0;
+
+  await removeAttachmentsMatching(filter);
+  await removeVotesFor(ids);
+  const result = await Feedback.deleteMany({ _id: { $in: ids } });
+
+  if (result.deletedCount > 0) {
+    console.log(`🗑️  Purged ${result.deletedCount} feedback entries from the trash (older than ${days} days)`);
+  }
+  return result.deletedCount;
+};
+
+// Run once now and then daily
+const scheduleTrashPurge = () => {
+  const run = () => purgeExpiredTrash()
+    .catch(error => console.error('Error purging trash:', error));
+
+  clearInterval(intervalTimer);
+  run();
+  intervalTimer = setInterval(run, DAY_MS);
+  intervalTimer.unref();
+};
+
+module.exports = {
+  getTrashRetentionDays,
+  purgeExpiredTrash,
+  scheduleTrashPurge
+};
@@ -0,0 +1,37 @@
+const Feedback = require('../models/Feedback');
+const { removeAttachmentsMatching } = require('../services/attachments');
+
+// Delete submissions whose email address was never confirmed once their
+// verification link has expired (VERIFICATION_TTL_HOURS, see services/verification).
+// Done here rather than by a TTL index so their attachments are removed too
+
+const HOUR_MS = 60 * 60 * 1000;
+
+let intervalTimer = null;
+
+const purgeExpiredUnverified = async () => {
+  const filter = { verified: false, 'verification.expiresAt': { $lt: new Date() } };
+  await removeAttachmentsMatching(filter);
+  const result = await Feedback.deleteMany(filter);
+
+  if (result.deletedCount > 0) {
+    console.log(`🗑️  Deleted ${result.deletedCount} unverified feedback entries whose verification link expired`);
+  }
+  return result.deletedCount;
+};
+
+// Run once now and then hourly
+const scheduleUnverifiedPurge = () => {
+  const run = () => purgeExpiredUnverified()
+    .catch(error => console.error('Error deleting expired unverified feedback:', error));
+
+  clearInterval(intervalTimer);
+  run();
+  intervalTimer = setInterval(run, HOUR_MS);
+  intervalTimer.unref();
+};
+
+module.exports = {
+  purgeExpiredUnverified,
+  scheduleUnverifiedPurge
+};
@@ -0,0 +1,137 @@
+const Feedback = require('../models/Feedback');
+const TaggingRule = require('../models/TaggingRule');
+const {
+  LEGACY_AUTO_TAGS,
+  getActiveRules,
+  evaluateMessage,
+  higherPriority
+} = require('../services/autoTagger');
+const { detectLanguage } = require('../services/i18n');
+
+// Re-tag existing feedback after tagging rules change
+// Rule-added tags (autoTags) are replaced, manual tags are kept and priority
+// is only ever escalated. Runs in the background, one run at a time; a change
+// made during a run schedules exactly one follow-up run
+
+const BATCH_SIZE = 200;
+const DEBOUNCE_MS = 5000;
+
+const state = {
+  status: 'idle',
+  startedAt: null,
+  finishedAt: null,
+  processed: 0,
+  updated: 0,
+  error: null,
+  trigger: null,
+  pending: false
+};
+
+let debounceTimer = null;
+
+const retagAll = async () => {
+  const rules = await getActiveRules();
+
+  // Tags any rule could produce; used to recognise automatic tags on
+  // feedback that predates autoTags tracking
+  const allRules = await TaggingRule.find().select('tags').lean();
+  const knownAutoTags = new Set([...LEGACY_AUTO_TAGS, ...allRules.flatMap(rule => rule.tags)]);
+
+  const cursor = Feedback.find()
+    .select('message language tags autoTags priority')
+    .lean()
+    .cursor({ batchSize: BATCH_SIZE });
+
+  let operations = [];
+  const flush = async () => {
+    if (operations.length === 0) return;
+    const result = await Feedback.bulkWrite(operations, { ordered: false });
+    state.updated += result.modifiedCount;
+    operations = [];
+  };
+
+  for await (const feedback of cursor) {
+    const previousAuto = feedback.autoTags || feedback.tags.filter(tag => knownAutoTags.has(tag));
+    // Feedback saved before languages were recorded is matched in its detected language
+    const language = feedback.language || detectLanguage(feedback.message);
+    const { tags: autoTags, priority } = evaluateMessage(feedback.message, rules, language);
+
+    const manualTags = feedback.tags.filter(tag => !previousAuto.includes(tag));
+    const tags = [...new Set([...manualTags, ...autoTags])];
+    const newPriority = higherPriority(feedback.priority, priority);
+
+    const unchanged = tags.length === feedback.tags.length
+      && tags.every(tag => feedback.tags.includes(tag))
+      && newPriority === feedback.priority
+      && feedback.autoTags !== undefined;
+
+    if (!unchanged) {
+      operations.push({
+        updateOne: {
+          filter: { _id: feedback._id },
+          update: { $set: { tags, autoTags, priority: newPriority } }
+        }
+      });
+    }
+
+    state.processed += 1;
+    if (operations.length >= BATCH_SIZE) await flush();
+  }
+
+  await flush();
+};
+
+// Start a run now (or queue one if a run is in progress)
+const runRetag = async (trigger = 'manual') => {
+  if (state.status === 'running') {
+    state.pending = true;
+    return getRetagStatus();
+  }
+
+  Object.assign(state, {
+    status: 'running',
+    startedAt: new Date(),
+    finishedAt: null,
+    processed: 0,
+    updated: 0,
+    error: null,
+    trigger,
+    pending: false
+  });
+
+  try {
+    await retagAll();
+    state.status = 'completed';
+    console.log(`🏷️  Re-tagged feedback: ${state.updated} of ${state.processed} entries changed`);
+  } catch (error) {
+    state.status = 'failed';
+    state.error = error.message;
+    console.error('Error re-tagging feedback:', error);
+  } finally {
+    state.finishedAt = new Date();
+  }
+
+  if (state.pending) {
+    state.pending = false;
+    runRetag('queued');
+  }
+
+  return getRetagStatus();
+};
+
+// Coalesce bursts of rule edits into a single run
+const scheduleRetag = (trigger = 'rules-changed') => {
+  clearTimeout(debounceTimer);
+  debounceTimer = setTimeout(() => {
+    runRetag(trigger);
+  }, DEBOUNCE_MS);
+  debounceTimer.unref();
+};
+
+const getRetagStatus = () => ({ ...state });
+
+module.exports = {
+  runRetag,
+  scheduleRetag,
+  getRetagStatus
+};
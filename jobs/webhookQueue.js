@@ -0,0 +1,131 @@
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { setQueueListener, sendDelivery } = require('../services/webhooks');
+
+// Persistent webhook delivery queue
+// Due deliveries are claimed one at a time and sent; failures are retried with
+// exponential backoff (30s, 1m, 2m, 4m, ... capped at 6h) until
+// WEBHOOK_MAX_ATTEMPTS is reached. Deliveries stuck in "delivering" (e.g. the
+// server stopped mid-request) are picked up again after a few minutes
+
+const POLL_INTERVAL_MS = 10000;
+const BASE_RETRY_MS = 30 * 1000;
+const MAX_RETRY_MS = 6 * 60 * 60 * 1000;
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+let pollTimer = null;
+let running = false;
+let rerun = false;
+
+const getMaxAttempts = () => parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8');
+
+const retryDelay = (attempts) => Math.min(BASE_RETRY_MS * 2 ** (attempts - 1), MAX_RETRY_MS);
+
+// Atomically take the next due delivery
+const claimNext = () => {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextAttemptAt: { $lte: now } },
+        { status: 'delivering', lockedAt: { $lt: new Date(now - STALE_LOCK_MS) } }
+      ]
+    },
+    { $set: { status: 'delivering', lockedAt: now } },
+    { sort: { nextAttemptAt: 1 }, new: true }
+  );
+};
+
+const deliver = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+
+  // Subscription deleted or paused since the event was queued
+  if (!webhook || (!webhook.isActive && delivery.event !== 'webhook.test')) {
+    delivery.status = 'failed';
+    delivery.error = webhook ? 'Webhook is disabled' : 'Webhook was deleted';
+    delivery.lockedAt = undefined;
+    return delivery.save();
+  }
+
+  const result = await sendDelivery(webhook, delivery);
+  const attempts = delivery.attempts + 1;
+
+  delivery.attempts = attempts;
+  delivery.responseStatus = result.responseStatus;
+  delivery.responseBody = result.responseBody;
+  delivery.error = result.error;
+  delivery.lockedAt = undefined;
+  delivery.history.push({
+    at: new Date(),
+    responseStatus: result.responseStatus,
+    durationMs: result.durationMs,
+    error: result.error
+  });
+
+  if (result.ok) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = new Date();
+  } else if (attempts >= getMaxAttempts()) {
+    delivery.status = 'failed';
+    console.error(`🪝 Webhook "${webhook.name}" gave up on ${delivery.event} after ${attempts} attempts: ${result.error}`);
+  } else {
+    delivery.status = 'pending';
+    delivery.nextAttemptAt = new Date(Date.now() + retryDelay(attempts));
+  }
+
+  return delivery.save();
+};
+
+// Send one delivery right away (e.g. a test event) without touching the rest of
+// the queue. If the worker has already claimed it, its current state is returned
+const deliverNow = async (deliveryId) => {
+  const delivery = await WebhookDelivery.findOneAndUpdate(
+    { _id: deliveryId, status: 'pending' },
+    { $set: { status: 'delivering', lockedAt: new Date() } },
+    { new: true }
+  );
+  if (!delivery) return WebhookDelivery.findById(deliveryId);
+  return deliver(delivery);
+};
+
+// Send everything that is due; concurrent calls collapse into one extra pass
+const processQueue = async () => {
+  if (running) {
+    rerun = true;
+    return;
+  }
+  running = true;
+
+  try {
+    do {
+      rerun = false;
+      let delivery = await claimNext();
+      while (delivery) {
+        await deliver(delivery);
+        delivery = await claimNext();
+      }
+    } while (rerun);
+  } catch (error) {
+    console.error('Error processing webhook queue:', error);
+  } finally {
+    running = false;
+  }
+};
+
+const startWebhookQueue = () => {
+  setQueueListener(() => {
+    processQueue();
+  });
+
+  clearInterval(pollTimer);
+  processQueue();
+  pollTimer = setInterval(processQueue, POLL_INTERVAL_MS);
+  pollTimer.unref();
+};
+
+module.exports = {
+  retryDelay,
+  deliverNow,
+  processQueue,
+  startWebhookQueue
+};
@@ -0,0 +1,139 @@
+const AdminUser = require('../models/AdminUser');
+const RevokedToken = require('../models/RevokedToken');
+const DeviceKey = require('../models/DeviceKey');
+const { verifyToken } = require('../services/tokens');
+
+// Admin authentication middleware
+// Admins log in through POST /api/auth/login and send the issued token as
+// `Authorization: Bearer <token>` on every admin request
+
+// Messages are translated with req.t (see middleware/locale)
+// Each middleware carries an `auth` marker describing what it checks, which
+// services/openapi reads to document the routes that use it
+const unauthorized = (req, res, message = 'Admin access required') => res.status(401).json({
+  success: false,
+  error: 'Unauthorized',
+  message: req.t(message)
+});
+
+const getBearerToken = (req) => {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+// Resolve the admin behind a token, or null if it is not (or no longer) valid
+const resolveAdmin = async (token, purpose = 'admin') => {
+  const payload = verifyToken(token, purpose);
+  if (!payload) return null;
+
+  const [admin, revoked] = await Promise.all([
+    AdminUser.findById(payload.sub),
+    RevokedToken.exists({ jti: payload.jti })
+  ]);
+
+  if (!admin || !admin.isActive || revoked || admin.tokenVersion !== payload.ver) {
+    return null;
+  }
+
+  return { admin, token: payload };
+};
+
+// Require a valid admin token; sets req.admin and req.authToken
+const authenticate = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+    if (!token) return unauthorized(req, res);
+
+    const session = await resolveAdmin(token);
+    if (!session) return unauthorized(req, res, 'Invalid or expired token');
+
+    req.admin = session.admin;
+    req.authToken = session.token;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+authenticate.auth = { schemes: ['bearerAuth'] };
+
+// Like authenticate, but lets anonymous requests through without req.admin
+const authenticateOptional = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req);
+    if (token) {
+      const session = await resolveAdmin(token);
+      if (session) {
+        req.admin = session.admin;
+        req.authToken = session.token;
+      }
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+authenticateOptional.auth = { schemes: ['bearerAuth'], optional: true };
+
+// Like authenticate, but also accepts a short-lived `?ticket=` issued for
+// `purpose` (browsers' EventSource cannot send an Authorization header)
+const authenticateTicket = (purpose) => Object.assign(async (req, res, next) => {
+  try {
+    if (!req.query.ticket) return authenticate(req, res, next);
+
+    const session = await resolveAdmin(String(req.query.ticket), purpose);
+    if (!session) return unauthorized(req, res, 'Invalid or expired ticket');
+
+    req.admin = session.admin;
+    req.authToken = session.token;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}, { auth: { schemes: ['bearerAuth', 'ticket'] } });
+
+const checkRole = (role) => Object.assign((req, res, next) => {
+  if (!req.admin.hasRole(role)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: req.t('This action requires the {{role}} role', { role })
+    });
+  }
+  next();
+}, { auth: { role } });
+
+// Require a device key in the X-Device-Key header; sets req.deviceKey
+// Used by devices and the mobile app, which have no admin login
+const authenticateDevice = async (req, res, next) => {
+  try {
+    const key = req.get('X-Device-Key');
+    if (!key) return unauthorized(req, res, 'Device key required (X-Device-Key header)');
+
+    const deviceKey = await DeviceKey.findActiveByKey(key);
+    if (!deviceKey) return unauthorized(req, res, 'Invalid or revoked device key');
+
+    req.deviceKey = deviceKey;
+    // Bookkeeping only; do not hold up the request
+    DeviceKey.updateOne({ _id: deviceKey._id }, { $set: { lastUsedAt: new Date() } })
+      .catch(error => console.error('Error updating device key usage:', error));
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+authenticateDevice.auth = { schemes: ['deviceKey'] };
+
+// Require at least `role` (viewer < moderator < admin); authenticates first
+const requireRole = (role) => [authenticate, checkRole(role)];
+
+// requireRole for endpoints that also accept a ticket (see authenticateTicket)
+const requireRoleOrTicket = (role, purpose) => [authenticateTicket(purpose), checkRole(role)];
+
+module.exports = {
+  authenticate,
+  authenticateOptional,
+  authenticateDevice,
+  requireRole,
+  requireRoleOrTicket
+};
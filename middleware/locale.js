@@ -0,0 +1,26 @@
+const { SUPPORTED_LOCALES, negotiateLocale, translate } = require('../services/i18n');
+
+// Response language for a request
+// A `lang` query parameter or body field wins over the Accept-Language header.
+// Sets req.locale and req.t(message, params) for translating messages, and
+// can run again once a multipart body has been parsed
+const localize = (req, res, next) => {
+  // `?lang=` is not a filter: take it out of req.query so the routes' strict
+  // query schemas do not reject it
+  if (req.query.lang !== undefined) {
+    req.queryLang = req.query.lang;
+    delete req.query.lang;
+  }
+
+  const requested = (req.body && typeof req.body.lang === 'string' && req.body.lang) || req.queryLang;
+  const locale = negotiateLocale(requested, req.acceptsLanguages(...SUPPORTED_LOCALES));
+
+  req.locale = locale;
+  req.t = (message, params) => translate(locale, message, params);
+
+  res.set('Content-Language', locale);
+  res.vary('Accept-Language');
+  next();
+};
+
+module.exports = { localize };
@@ -0,0 +1,17 @@
+// Feedback saved before ratings existed gets the default rating of 5
+// (previously scripts/migrate-ratings.js and POST /api/feedback/migrate-ratings)
+// There is no down: backfilled ratings cannot be told apart from chosen ones
+
+const filter = { rating: { $exists: false } };
+
+module.exports = {
+  description: 'Give feedback without a rating the default rating of 5',
+
+  up: async ({ db, dryRun }) => {
+    const feedbacks = db.collection('feedbacks');
+    if (dryRun) return { wouldUpdate: await feedbacks.countDocuments(filter) };
+
+    const result = await feedbacks.updateMany(filter, { $set: { rating: 5 } });
+    return { updated: result.modifiedCount };
+  }
+};
@@ -0,0 +1,36 @@
+// Feedback saved before moderation existed has no moderation status and is
+// treated as approved (see Feedback.publicFilter). Record that explicitly so
+// the moderation queue and filters see it; down removes only what up added
+
+const MIGRATED_BY = 'migration:002-approve-legacy-feedback';
+
+module.exports = {
+  description: 'Mark feedback from before moderation as approved',
+
+  up: async ({ db, dryRun }) => {
+    const feedbacks = db.collection('feedbacks');
+    const filter = { 'moderation.status': null };
+    if (dryRun) return { wouldUpdate: await feedbacks.countDocuments(filter) };
+
+    const result = await feedbacks.updateMany(filter, {
+      $set: {
+        'moderation.status': 'approved',
+        'moderation.reviewedBy': MIGRATED_BY,
+        'moderation.reviewedAt': new Date()
+      }
+    });
+    return { updated: result.modifiedCount };
+  },
+
+  down: async ({ db, dryRun }) => {
+    const feedbacks = db.collection('feedbacks');
+    // Items a moderator has decided on since then keep that decision
+    const filter = { 'moderation.reviewedBy': MIGRATED_BY };
+    if (dryRun) return { wouldUpdate: await feedbacks.countDocuments(filter) };
+
+    const result = await feedbacks.updateMany(filter, {
+      $unset: { 'moderation.status': '', 'moderation.reviewedBy': '', 'moderation.reviewedAt': '' }
+    });
+    return { updated: result.modifiedCount };
+  }
+};
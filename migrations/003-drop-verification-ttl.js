@@ -0,0 +1,42 @@
+// Unverified feedback used to be removed by a TTL index on
+// verification.expiresAt, which deleted the documents but left their
+// attachments in storage. jobs/purgeUnverified now deletes both (using the
+// { verified, verification.expiresAt } index from the model), so the TTL
+// index has to go
+
+const TTL_INDEX_NAME = 'verification.expiresAt_1';
+
+// Whether the TTL index exists (false when the collection does not exist yet)
+const hasTtlIndex = async (feedbacks) => {
+  try {
+    const indexes = await feedbacks.indexes();
+    return indexes.some(index => index.name === TTL_INDEX_NAME && index.expireAfterSeconds !== undefined);
+  } catch (error) {
+    if (error.codeName === 'NamespaceNotFound') return false;
+    throw error;
+  }
+};
+
+module.exports = {
+  description: 'Drop the TTL index that deleted unverified feedback without its attachments',
+
+  up: async ({ db, dryRun }) => {
+    const feedbacks = db.collection('feedbacks');
+    const exists = await hasTtlIndex(feedbacks);
+    if (dryRun) return { wouldDropIndex: exists };
+
+    if (exists) await feedbacks.dropIndex(TTL_INDEX_NAME);
+    return { droppedIndex: exists };
+  },
+
+  down: async ({ db, dryRun }) => {
+    const feedbacks = db.collection('feedbacks');
+    const exists = await hasTtlIndex(feedbacks);
+    if (dryRun) return { wouldCreateIndex: !exists };
+
+    if (!exists) {
+      await feedbacks.createIndex({ 'verification.expiresAt': 1 }, { name: TTL_INDEX_NAME, expireAfterSeconds: 0 });
+    }
+    return { createdIndex: !exists };
+  }
+};
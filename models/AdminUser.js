@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+// Roles in ascending order of privilege
+const ROLES = ['viewer', 'moderator', 'admin'];
+
+const adminUserSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    match: [/^[\w-\.]+@([\w-]+\.)+[\w-]{2,4}$/, 'Please provide a valid email address']
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  passwordHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: 'viewer'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Incremented to invalidate every token issued to this user
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  lastLoginAt: Date
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.passwordHash;
+      delete ret.tokenVersion;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+adminUserSchema.methods.setPassword = async function(password) {
+  this.passwordHash = await bcrypt.hash(password, 12);
+};
+
+adminUserSchema.methods.comparePassword = function(password) {
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+// True when this user's role is at least `role`
+adminUserSchema.methods.hasRole = function(role) {
+  return ROLES.indexOf(this.role) >= ROLES.indexOf(role);
+};
+
+adminUserSchema.statics.ROLES = ROLES;
+
+module.exports = mongoose.model('AdminUser', adminUserSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// Append-only record of administrative actions
+// Entries are never updated or deleted through the application
+
+const auditLogSchema = new mongoose.Schema({
+  actor: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AdminUser'
+    },
+    email: String,
+    role: String
+  },
+  // Dotted verb such as "feedback.delete" or "admin-user.update"
+  action: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  target: {
+    type: { type: String },
+    id: String
+  },
+  ip: String,
+  userAgent: String,
+  // Field-level before/after values of what changed
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  // Anything else worth keeping (counts, filters, reasons)
+  meta: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: { createdAt: true, updatedAt: false },
+  versionKey: false
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ 'actor.email': 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+auditLogSchema.index({ 'target.type': 1, 'target.id': 1, createdAt: -1 });
+
+// Refuse every write that is not an insert
+const refuseChange = function() {
+  throw new Error('Audit log entries cannot be changed or removed');
+};
+
+auditLogSchema.pre('save', function() {
+  if (!this.isNew) refuseChange();
+});
+
+auditLogSchema.pre([
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'replaceOne',
+  'findOneAndReplace',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+], refuseChange);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
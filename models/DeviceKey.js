@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// API keys for devices and the mobile app (POST /api/feedback/device)
+// Only a SHA-256 hash of each key is stored; the key itself is shown once when created
+
+const KEY_PREFIX = 'bgd_';
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+const deviceKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Device key name is required'],
+    trim: true,
+    maxlength: [100, 'Device key name cannot exceed 100 characters']
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false
+  },
+  // First characters of the key, to tell keys apart in the admin list
+  keyPreview: {
+    type: String,
+    required: true
+  },
+  // Used as the feedback email when a report does not include one
+  contactEmail: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  // Reports sent with this key are tagged with these in addition to auto-tags
+  tags: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastUsedAt: Date,
+  createdBy: String,
+  updatedBy: String
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.keyHash;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// A new random key: { key, keyHash, keyPreview }
+deviceKeySchema.statics.generateKey = function() {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  return { key, keyHash: hashKey(key), keyPreview: key.slice(0, KEY_PREFIX.length + 6) };
+};
+
+// The active key matching a presented key, or null
+deviceKeySchema.statics.findActiveByKey = function(key) {
+  if (typeof key !== 'string' || !key.startsWith(KEY_PREFIX)) return Promise.resolve(null);
+  return this.findOne({ keyHash: hashKey(key), isActive: true });
+};
+
+module.exports = mongoose.model('DeviceKey', deviceKeySchema);
@@ -1,4 +1,70 @@
 const mongoose = require('mongoose');
+const { tagMessage, higherPriority } = require('../services/autoTagger');
+const { screenFeedback } = require('../services/screening');
+const { detectLanguage } = require('../services/i18n');
+
+// One message in the conversation that follows the original submission
+const threadMessageSchema = new mongoose.Schema({
+  authorType: {
+    type: String,
+    enum: ['submitter', 'staff'],
+    required: true
+  },
+  authorName: {
+    type: String,
+    trim: true
+  },
+  body: {
+    type: String,
+    required: [true, 'Message is required'],
+    trim: true,
+    maxlength: [5000, 'Message cannot exceed 5000 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A screenshot or log file uploaded with the feedback (see services/attachments)
+// Only the reference is stored here; the file itself lives in attachment storage
+const attachmentSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['image', 'log'],
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true
+  },
+  sha256: String,
+  storageKey: {
+    type: String,
+    required: true
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: {
+    // Storage keys are internal; files are downloaded through the API
+    transform: (doc, ret) => {
+      delete ret.storageKey;
+      return ret;
+    }
+  }
+});
 
 const feedbackSchema = new mongoose.Schema({
   name: {
@@ -31,8 +97,8 @@ const feedbackSchema = new mongoose.Schema({
   },
   rating: {
     type: Number,
-    min: 1,
-    max: 5,
+    min: [1, 'Rating must be at least 1'],
+    max: [5, 'Rating cannot exceed 5'],
     default: 5 // Default to 5 stars if not specified
   },
   status: {
@@ -44,6 +110,8 @@ const feedbackSchema = new mongoose.Schema({
     type: String,
     required: false
   },
+  // Set once the IP address has been truncated by the privacy job
+  ipAnonymized: Boolean,
   userAgent: {
     type: String,
     required: false
@@ -52,6 +120,20 @@ const feedbackSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Where the feedback came from (e.g. website, paper-form, google-form)
+  source: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: 'website'
+  },
+  // Language the feedback is written in (e.g. "es"), stated by the form or detected
+  // from the message; selects the language-specific tagging keywords
+  language: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
   priority: {
     type: String,
     enum: ['low', 'medium', 'high', 'urgent'],
@@ -62,11 +144,90 @@ const feedbackSchema = new mongoose.Schema({
     lowercase: true,
     trim: true
   }],
+  // Subset of tags added by tagging rules (replaced when feedback is re-tagged)
+  autoTags: {
+    type: [String],
+    default: undefined
+  },
+  // Public vote counts, kept in step with the Vote collection (see services/voting)
+  votes: {
+    up: { type: Number, default: 0 },
+    down: { type: Number, default: 0 },
+    score: { type: Number, default: 0 }
+  },
   response: {
     message: String,
     respondedBy: String,
-    respondedAt: Date
-  }
+    respondedAt: Date,
+    delivery: {
+      status: {
+        type: String,
+        enum: ['pending', 'sent', 'failed']
+      },
+      transport: String,
+      messageId: String,
+      error: String,
+      attemptedAt: Date
+    }
+  },
+  // Follow-ups after the original message, oldest first (see getConversation)
+  thread: [threadMessageSchema],
+  // Diagnostics sent by the mobile app or a device (POST /api/feedback/device)
+  device: {
+    deviceId: String,
+    firmwareVersion: String,
+    appVersion: String,
+    platform: String,
+    batteryLevel: Number, // percent
+    signalStrength: Number, // RSSI in dBm
+    errorCodes: {
+      type: [String],
+      default: undefined
+    },
+    // Device key the report was sent with, if any
+    keyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DeviceKey'
+    }
+  },
+  // Uploaded screenshots and logs; never included in public listings
+  attachments: {
+    type: [attachmentSchema],
+    default: undefined
+  },
+  // Only approved feedback is shown on public endpoints
+  moderation: {
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected']
+    },
+    flags: [String],
+    reviewedBy: String,
+    reviewedAt: Date,
+    reason: String
+  },
+  // Email verification (double opt-in); unset on feedback that was never asked to verify
+  verified: Boolean,
+  verification: {
+    sentAt: Date,
+    verifiedAt: Date,
+    // Unverified feedback is deleted by jobs/purgeUnverified once this passes
+    expiresAt: Date,
+    deliveryStatus: {
+      type: String,
+      enum: ['sent', 'failed']
+    }
+  },
+  // Spam scoring result for public submissions
+  spam: {
+    score: Number,
+    signals: [String],
+    fingerprint: String,
+    quarantined: Boolean
+  },
+  // Soft deletion: set while the feedback is in the trash
+  deletedAt: Date,
+  deletedBy: String
 }, {
   timestamps: true, // Adds createdAt and updatedAt
   toJSON: { virtuals: true },
@@ -78,6 +239,22 @@ feedbackSchema.index({ createdAt: -1 });
 feedbackSchema.index({ email: 1 });
 feedbackSchema.index({ status: 1 });
 feedbackSchema.index({ isPublic: 1, status: 1 });
+feedbackSchema.index({ tags: 1 });
+feedbackSchema.index({ language: 1, createdAt: -1 });
+feedbackSchema.index({ 'votes.score': -1, _id: -1 });
+feedbackSchema.index({ 'moderation.status': 1, createdAt: -1 });
+feedbackSchema.index({ 'spam.fingerprint': 1, createdAt: -1 });
+feedbackSchema.index({ verified: 1, 'verification.expiresAt': 1 });
+feedbackSchema.index({ deletedAt: 1 });
+feedbackSchema.index({ 'device.firmwareVersion': 1, createdAt: -1 });
+feedbackSchema.index({ 'device.appVersion': 1, createdAt: -1 });
+feedbackSchema.index({ 'device.deviceId': 1 }, { sparse: true });
+
+// Full-text search over message and name (message matches rank higher)
+feedbackSchema.index(
+  { message: 'text', name: 'text' },
+  { name: 'feedback_text_search', weights: { message: 3, name: 1 } }
+);
 
 // Virtual for formatted creation date
 feedbackSchema.virtual('formattedDate').get(function() {
@@ -105,49 +282,165 @@ feedbackSchema.virtual('timeAgo').get(function() {
   return this.createdAt.toLocaleDateString();
 });
 
-// Pre-save middleware to auto-tag based on message content
-feedbackSchema.pre('save', function(next) {
-  if (this.isNew && this.message) {
-    const message = this.message.toLowerCase();
-    const autoTags = [];
-    
-    // Auto-categorize based on message content
-    if (message.includes('bug') || message.includes('error') || message.includes('issue')) {
-      autoTags.push('bug-report');
-      this.priority = 'high';
-    }
-    if (message.includes('feature') || message.includes('suggestion') || message.includes('improve')) {
-      autoTags.push('feature-request');
-    }
-    if (message.includes('app') || message.includes('mobile')) {
-      autoTags.push('mobile-app');
-    }
-    if (message.includes('device') || message.includes('esp32') || message.includes('hardware')) {
-      autoTags.push('hardware');
-    }
-    if (message.includes('great') || message.includes('awesome') || message.includes('love')) {
-      autoTags.push('positive');
+// Auto-tag (and escalate priority) using the active tagging rules
+// Tags added by rules are remembered in autoTags so re-tagging can replace them
+feedbackSchema.methods.applyAutoTags = async function() {
+  const { tags, priority } = await tagMessage(this.message, this.language);
+
+  this.autoTags = tags;
+  this.tags = [...new Set([...this.tags, ...tags])];
+  this.priority = higherPriority(this.priority, priority);
+  return this.tags;
+};
+
+// Screen for profanity, links, shouting and contact details
+// MODERATION_MODE=pre holds everything for review; otherwise only flagged items are held
+// Flags set before saving (e.g. "spam") are kept
+feedbackSchema.methods.applyScreening = function() {
+  const existing = (this.moderation && this.moderation.flags) || [];
+  const flags = [...new Set([...existing, ...screenFeedback({ name: this.name, message: this.message })])];
+  const holdAll = process.env.MODERATION_MODE === 'pre';
+
+  this.moderation = {
+    status: holdAll || flags.length > 0 ? 'pending' : 'approved',
+    flags
+  };
+  return this.moderation;
+};
+
+// Detect the language of new feedback that did not state one (imports, older clients)
+// Runs before validation so dry-run imports see it too
+feedbackSchema.pre('validate', function() {
+  if (this.isNew && !this.language) {
+    this.language = detectLanguage(this.message) || undefined;
+  }
+});
+
+// Pre-save middleware to auto-tag and screen new feedback
+feedbackSchema.pre('save', async function() {
+  if (this.isNew) {
+    await this.applyAutoTags();
+    if (!this.moderation || !this.moderation.status) {
+      this.applyScreening();
     }
-    if (message.includes('problem') || message.includes('difficult') || message.includes('hate')) {
-      autoTags.push('negative');
-      this.priority = 'high';
+  }
+});
+
+// Append to the thread; a reply stored only in `response` (from before threads
+// existed) is moved into the thread first so it keeps its place
+feedbackSchema.methods.addThreadMessage = function({ authorType, authorName, body }) {
+  if (this.thread.length === 0 && this.response && this.response.message) {
+    this.thread.push({
+      authorType: 'staff',
+      authorName: this.response.respondedBy,
+      body: this.response.message,
+      createdAt: this.response.respondedAt
+    });
+  }
+  this.thread.push({ authorType, authorName, body, createdAt: new Date() });
+  return this.thread[this.thread.length - 1];
+};
+
+// The whole conversation: the original message followed by the thread
+feedbackSchema.methods.getConversation = function() {
+  const opening = {
+    authorType: 'submitter',
+    authorName: this.name,
+    body: this.message,
+    createdAt: this.createdAt
+  };
+
+  const legacyReply = this.thread.length === 0 && this.response && this.response.message
+    ? [{
+      authorType: 'staff',
+      authorName: this.response.respondedBy,
+      body: this.response.message,
+      createdAt: this.response.respondedAt
+    }]
+    : [];
+
+  return [
+    opening,
+    ...legacyReply,
+    ...this.thread.map(({ _id, authorType, authorName, body, createdAt }) => ({
+      id: _id, authorType, authorName, body, createdAt
+    }))
+  ];
+};
+
+// Feedback in the trash is invisible to every query unless the query opts in
+// with setOptions({ withDeleted: true }) or filters on deletedAt itself
+const excludeDeleted = function() {
+  if (this.getOptions().withDeleted || this.getFilter().deletedAt !== undefined) return;
+  this.where({ deletedAt: null });
+};
+
+feedbackSchema.pre([
+  'find',
+  'findOne',
+  'findOneAndUpdate',
+  'countDocuments',
+  'distinct',
+  'updateOne',
+  'updateMany'
+], excludeDeleted);
+
+feedbackSchema.pre('aggregate', function() {
+  if (this.options.withDeleted) return;
+
+  const pipeline = this.pipeline();
+  const first = pipeline[0];
+  // Merge into a leading $match so stages that must come first ($text) still do
+  if (first && first.$match) {
+    if (first.$match.deletedAt === undefined) {
+      pipeline[0] = { $match: { ...first.$match, deletedAt: null } };
     }
-    
-    this.tags = [...new Set([...this.tags, ...autoTags])];
+  } else {
+    pipeline.unshift({ $match: { deletedAt: null } });
   }
-  next();
 });
 
+// Move to / take out of the trash
+feedbackSchema.methods.moveToTrash = function(deletedBy) {
+  this.deletedAt = new Date();
+  this.deletedBy = deletedBy;
+  return this.save();
+};
+
+feedbackSchema.methods.restoreFromTrash = function() {
+  this.deletedAt = undefined;
+  this.deletedBy = undefined;
+  return this.save();
+};
+
+// With EMAIL_VERIFICATION=true, feedback still awaiting verification is
+// left out of public listings and stats
+feedbackSchema.statics.verificationFilter = function() {
+  return process.env.EMAIL_VERIFICATION === 'true' ? { verified: { $ne: false } } : {};
+};
+
+// Filter for feedback that may be shown publicly
+// Feedback saved before moderation existed has no status and was already public
+feedbackSchema.statics.publicFilter = function() {
+  return {
+    isPublic: true,
+    status: { $ne: 'archived' },
+    'moderation.status': { $in: ['approved', null] },
+    ...this.verificationFilter()
+  };
+};
+
 // Static method to get public feedback
 feedbackSchema.statics.getPublicFeedback = function(limit = 10) {
-  return this.find({ isPublic: true, status: { $ne: 'archived' } })
+  return this.find(this.publicFilter())
     .sort({ createdAt: -1 })
     .limit(limit)
-    .select('name message createdAt formattedDate timeAgo tags priority');
+    .select('name message createdAt formattedDate timeAgo tags priority votes');
 };
 
 // Static method to get feedback stats
 feedbackSchema.statics.getStats = async function() {
+  const base = this.verificationFilter();
   const [
     total,
     newCount,
@@ -157,13 +450,14 @@ feedbackSchema.statics.getStats = async function() {
     urgent,
     ratingStats
   ] = await Promise.all([
-    this.countDocuments(),
-    this.countDocuments({ status: 'new' }),
-    this.countDocuments({ status: 'read' }),
-    this.countDocuments({ status: 'responded' }),
-    this.countDocuments({ priority: 'high' }),
-    this.countDocuments({ priority: 'urgent' }),
+    this.countDocuments(base),
+    this.countDocuments({ ...base, status: 'new' }),
+    this.countDocuments({ ...base, status: 'read' }),
+    this.countDocuments({ ...base, status: 'responded' }),
+    this.countDocuments({ ...base, priority: 'high' }),
+    this.countDocuments({ ...base, priority: 'urgent' }),
     this.aggregate([
+      { $match: base },
       {
         $group: {
           _id: null,
@@ -174,17 +468,17 @@ feedbackSchema.statics.getStats = async function() {
     ])
   ]);
   
-  // Calculate average rating (default to 4.8 if no ratings)
+  // Average rating (null when there are no ratings yet)
   const avgRating = ratingStats.length > 0 && ratingStats[0].averageRating 
     ? Number(ratingStats[0].averageRating.toFixed(1))
-    : 4.8;
+    : null;
   
   // Calculate user satisfaction percentage
   // Satisfaction = users who gave 4-5 stars / total feedback * 100
-  const highRatingCount = await this.countDocuments({ rating: { $gte: 4 } });
+  const highRatingCount = await this.countDocuments({ ...base, rating: { $gte: 4 } });
   const satisfactionPercentage = total > 0 
     ? Math.round((highRatingCount / total) * 100)
-    : 97;
+    : null;
   
   return {
     total,
@@ -199,4 +493,262 @@ feedbackSchema.statics.getStats = async function() {
   };
 };
 
+// Start of the UTC day/week (Monday)/month containing `date`
+const truncateDate = (date, interval) => {
+  const d = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  if (interval === 'week') {
+    d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  } else if (interval === 'month') {
+    d.setUTCDate(1);
+  }
+  return d;
+};
+
+const nextBucket = (date, interval) => {
+  const d = new Date(date);
+  if (interval === 'day') d.setUTCDate(d.getUTCDate() + 1);
+  if (interval === 'week') d.setUTCDate(d.getUTCDate() + 7);
+  if (interval === 'month') d.setUTCMonth(d.getUTCMonth() + 1);
+  return d;
+};
+
+const roundOrNull = (value, digits = 2) => (
+  value === null || value === undefined ? null : Number(value.toFixed(digits))
+);
+
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const index = Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1);
+  return sorted[Math.max(0, index)];
+};
+
+// Static method for time-series analytics over a date range (UTC buckets)
+// Metrics without data are reported as null rather than placeholder values
+feedbackSchema.statics.getAnalytics = async function({ from, to, interval = 'day' }) {
+  const match = { createdAt: { $gte: from, $lte: to } };
+  const HOUR_MS = 60 * 60 * 1000;
+
+  const [result] = await this.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              count: { $sum: 1 },
+              averageRating: { $avg: '$rating' },
+              highRatings: { $sum: { $cond: [{ $gte: ['$rating', 4] }, 1, 0] } },
+              rated: { $sum: { $cond: [{ $ne: [{ $ifNull: ['$rating', null] }, null] }, 1, 0] } }
+            }
+          }
+        ],
+        volume: [
+          {
+            $group: {
+              _id: {
+                $dateTrunc: { date: '$createdAt', unit: interval, startOfWeek: 'monday', timezone: 'UTC' }
+              },
+              count: { $sum: 1 },
+              averageRating: { $avg: '$rating' }
+            }
+          }
+        ],
+        ratings: [
+          { $match: { rating: { $ne: null } } },
+          { $group: { _id: { $round: ['$rating', 0] }, count: { $sum: 1 } } }
+        ],
+        tags: [
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        priorities: [
+          { $group: { _id: '$priority', count: { $sum: 1 } } }
+        ],
+        statuses: [
+          { $group: { _id: '$status', count: { $sum: 1 } } }
+        ],
+        responseTimes: [
+          { $match: { 'response.respondedAt': { $ne: null } } },
+          { $project: { _id: 0, ms: { $subtract: ['$response.respondedAt', '$createdAt'] } } },
+          { $match: { ms: { $gte: 0 } } },
+          { $sort: { ms: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  // Fill empty buckets so charts show gaps as zero submissions
+  const volumeByBucket = new Map(result.volume.map(bucket => [bucket._id.getTime(), bucket]));
+  const volume = [];
+  for (let bucket = truncateDate(from, interval); bucket <= to; bucket = nextBucket(bucket, interval)) {
+    const found = volumeByBucket.get(bucket.getTime());
+    volume.push({
+      period: bucket.toISOString(),
+      count: found ? found.count : 0,
+      averageRating: found ? roundOrNull(found.averageRating) : null
+    });
+  }
+
+  const ratingDistribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  result.ratings.forEach(({ _id, count }) => {
+    if (ratingDistribution[_id] !== undefined) ratingDistribution[_id] = count;
+  });
+
+  const countsFor = (values, rows) => Object.fromEntries(values.map(value => [
+    value,
+    (rows.find(row => row._id === value) || { count: 0 }).count
+  ]));
+
+  const hours = result.responseTimes.map(row => row.ms / HOUR_MS);
+  const totals = result.totals[0] || { count: 0, averageRating: null, highRatings: 0, rated: 0 };
+
+  return {
+    range: { from: from.toISOString(), to: to.toISOString(), interval },
+    totals: {
+      submissions: totals.count,
+      averageRating: roundOrNull(totals.averageRating),
+      satisfactionPercentage: totals.rated > 0
+        ? Math.round((totals.highRatings / totals.rated) * 100)
+        : null
+    },
+    volume,
+    ratingDistribution,
+    tags: result.tags.map(({ _id, count }) => ({ tag: _id, count })),
+    priorities: countsFor(this.schema.path('priority').enumValues, result.priorities),
+    statuses: countsFor(this.schema.path('status').enumValues, result.statuses),
+    responseTime: {
+      responded: hours.length,
+      responseRate: totals.count > 0 ? roundOrNull(hours.length / totals.count, 3) : null,
+      averageHours: hours.length > 0
+        ? roundOrNull(hours.reduce((sum, value) => sum + value, 0) / hours.length)
+        : null,
+      medianHours: roundOrNull(percentile(hours, 50)),
+      p90Hours: roundOrNull(percentile(hours, 90)),
+      fastestHours: roundOrNull(hours.length > 0 ? hours[0] : null),
+      slowestHours: roundOrNull(hours.length > 0 ? hours[hours.length - 1] : null)
+    }
+  };
+};
+
+// Reports with device diagnostics over a date range, grouped by firmware
+// version, app version or platform. The `limit` largest groups get their own
+// series in `volume` (the rest are summed as "other"), so the release behind
+// a spike of bug reports stands out
+feedbackSchema.statics.getDeviceAnalytics = async function({
+  from, to, interval = 'day', groupBy = 'firmwareVersion', platform, limit = 10
+}) {
+  const match = { createdAt: { $gte: from, $lte: to }, device: { $exists: true } };
+  if (platform) match['device.platform'] = platform;
+
+  const [result] = await this.aggregate([
+    { $match: match },
+    {
+      $project: {
+        createdAt: 1,
+        group: { $ifNull: [`$device.${groupBy}`, 'unknown'] },
+        deviceId: '$device.deviceId',
+        errorCodes: { $ifNull: ['$device.errorCodes', []] }
+      }
+    },
+    {
+      $facet: {
+        groups: [
+          {
+            $group: {
+              _id: '$group',
+              count: { $sum: 1 },
+              devices: { $addToSet: '$deviceId' },
+              firstSeen: { $min: '$createdAt' },
+              lastSeen: { $max: '$createdAt' }
+            }
+          },
+          { $addFields: { devices: { $size: { $setDifference: ['$devices', [null]] } } } },
+          { $sort: { count: -1, _id: 1 } }
+        ],
+        volume: [
+          {
+            $group: {
+              _id: {
+                period: { $dateTrunc: { date: '$createdAt', unit: interval, startOfWeek: 'monday', timezone: 'UTC' } },
+                group: '$group'
+              },
+              count: { $sum: 1 }
+            }
+          }
+        ],
+        errorCodes: [
+          { $unwind: '$errorCodes' },
+          { $group: { _id: { code: '$errorCodes', group: '$group' }, count: { $sum: 1 } } },
+          { $sort: { count: -1, '_id.code': 1 } }
+        ],
+        devices: [
+          { $match: { deviceId: { $ne: null } } },
+          { $group: { _id: '$deviceId' } },
+          { $count: 'count' }
+        ]
+      }
+    }
+  ]);
+
+  const reports = result.groups.reduce((sum, group) => sum + group.count, 0);
+  const shown = result.groups.slice(0, limit).map(group => group._id);
+  const seriesFor = (group) => (shown.includes(group) ? group : 'other');
+
+  const codesByGroup = new Map();
+  const codeTotals = new Map();
+  result.errorCodes.forEach(({ _id, count }) => {
+    if (!codesByGroup.has(_id.group)) codesByGroup.set(_id.group, []);
+    codesByGroup.get(_id.group).push({ code: _id.code, count });
+    codeTotals.set(_id.code, (codeTotals.get(_id.code) || 0) + count);
+  });
+
+  // Fill empty buckets so every series has a value for every period
+  const countsByBucket = new Map();
+  result.volume.forEach(({ _id, count }) => {
+    const key = _id.period.getTime();
+    const counts = countsByBucket.get(key) || {};
+    const series = seriesFor(_id.group);
+    counts[series] = (counts[series] || 0) + count;
+    countsByBucket.set(key, counts);
+  });
+  const seriesNames = result.groups.length > limit ? [...shown, 'other'] : shown;
+  const volume = [];
+  for (let bucket = truncateDate(from, interval); bucket <= to; bucket = nextBucket(bucket, interval)) {
+    const found = countsByBucket.get(bucket.getTime()) || {};
+    const counts = Object.fromEntries(seriesNames.map(name => [name, found[name] || 0]));
+    volume.push({
+      period: bucket.toISOString(),
+      total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+      counts
+    });
+  }
+
+  return {
+    range: { from: from.toISOString(), to: to.toISOString(), interval },
+    groupBy,
+    platform: platform || null,
+    totals: {
+      reports,
+      devices: result.devices.length > 0 ? result.devices[0].count : 0,
+      groups: result.groups.length
+    },
+    groups: result.groups.map(({ _id, count, devices, firstSeen, lastSeen }) => ({
+      value: _id,
+      count,
+      share: reports > 0 ? roundOrNull(count / reports, 3) : null,
+      devices,
+      firstSeen,
+      lastSeen,
+      topErrorCodes: (codesByGroup.get(_id) || []).slice(0, 5)
+    })),
+    volume,
+    errorCodes: [...codeTotals]
+      .map(([code, count]) => ({ code, count }))
+      .sort((a, b) => b.count - a.count || a.code.localeCompare(b.code))
+      .slice(0, 20)
+  };
+};
+
 module.exports = mongoose.model('Feedback', feedbackSchema);
\ No newline at end of file
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Migrations that have been applied (see services/migrations)
+const migrationSchema = new mongoose.Schema({
+  // File name without .js, e.g. "001-default-ratings"
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  description: String,
+  appliedAt: {
+    type: Date,
+    default: Date.now
+  },
+  durationMs: Number,
+  // What the migration reported, e.g. { updated: 12 }
+  result: mongoose.Schema.Types.Mixed
+});
+
+module.exports = mongoose.model('Migration', migrationSchema);
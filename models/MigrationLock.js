@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Single document held while migrations run, so two instances cannot run them at once
+// A lock left behind by a crashed process expires on its own
+const migrationLockSchema = new mongoose.Schema({
+  _id: String,
+  holder: {
+    type: String,
+    required: true
+  },
+  acquiredAt: {
+    type: Date,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+module.exports = mongoose.model('MigrationLock', migrationLockSchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+const taggingRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [100, 'Rule name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  // word:   whole words, `*` allowed as a suffix wildcard (e.g. "bug*")
+  // phrase: a sequence of whole words, any whitespace between them
+  // regex:  a case-insensitive regular expression
+  matchType: {
+    type: String,
+    enum: ['word', 'phrase', 'regex'],
+    default: 'word'
+  },
+  patterns: {
+    type: [{ type: String, trim: true }],
+    validate: [patterns => patterns.length > 0, 'At least one pattern is required']
+  },
+  // Extra patterns for feedback written in one language, e.g. { es: ['fallo*'] }
+  // (same matchType as `patterns`, which apply to every language)
+  localizedPatterns: {
+    type: Map,
+    of: [{ type: String, trim: true }],
+    default: undefined
+  },
+  tags: [{
+    type: String,
+    lowercase: true,
+    trim: true
+  }],
+  // Minimum priority for matching feedback (never lowers an existing priority)
+  priority: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'urgent']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Lower runs first; only affects the order tags are listed in
+  order: {
+    type: Number,
+    default: 100
+  },
+  updatedBy: String
+}, {
+  timestamps: true
+});
+
+taggingRuleSchema.index({ isActive: 1, order: 1 });
+
+module.exports = mongoose.model('TaggingRule', taggingRuleSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Form tokens that have been spent on a submission (see services/spam),
+// kept only until the token would have expired anyway
+const usedFormTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: 'usedAt', updatedAt: false }
+});
+
+// MongoDB removes entries once the token has expired
+usedFormTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UsedFormToken', usedFormTokenSchema);
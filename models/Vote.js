@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// One visitor's vote on one feedback item (see services/voting)
+// `voter` is a hash of the visitor's anonymous fingerprint or verified email,
+// so the same visitor can change their vote but never vote twice
+const voteSchema = new mongoose.Schema({
+  feedback: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Feedback',
+    required: true
+  },
+  voter: {
+    type: String,
+    required: true
+  },
+  voterType: {
+    type: String,
+    enum: ['fingerprint', 'email'],
+    required: true
+  },
+  value: {
+    type: Number,
+    enum: [1, -1],
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+voteSchema.index({ feedback: 1, voter: 1 }, { unique: true });
+voteSchema.index({ createdAt: -1 });
+voteSchema.index({ voter: 1 });
+
+module.exports = mongoose.model('Vote', voteSchema);
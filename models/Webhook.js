@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Events a subscription can receive
+const WEBHOOK_EVENTS = ['feedback.created', 'feedback.status-changed', 'feedback.responded'];
+
+const webhookSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Webhook name is required'],
+    trim: true,
+    maxlength: [100, 'Webhook name cannot exceed 100 characters']
+  },
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true
+  },
+  // Shared secret for the X-BuzzGuard-Signature header; only shown when created or rotated
+  secret: {
+    type: String,
+    required: true,
+    select: false
+  },
+  events: {
+    type: [{ type: String, enum: WEBHOOK_EVENTS }],
+    validate: [events => events.length > 0, 'At least one event is required']
+  },
+  // Only send feedback matching these (empty = everything); both must match when set
+  filters: {
+    tags: [{ type: String, lowercase: true, trim: true }],
+    priorities: [{ type: String, enum: ['low', 'medium', 'high', 'urgent'] }]
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: String,
+  updatedBy: String
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: (doc, ret) => {
+      delete ret.secret;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+webhookSchema.index({ isActive: 1, events: 1 });
+
+// True when the subscription's filters accept this feedback
+webhookSchema.methods.matches = function(feedback) {
+  const { tags = [], priorities = [] } = this.filters || {};
+  if (tags.length > 0 && !(feedback.tags || []).some(tag => tags.includes(tag))) return false;
+  if (priorities.length > 0 && !priorities.includes(feedback.priority)) return false;
+  return true;
+};
+
+webhookSchema.statics.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// One queued event for one subscription, with the outcome of every attempt
+// Deliveries are removed 30 days after they were queued
+
+const DELIVERY_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+const attemptSchema = new mongoose.Schema({
+  at: Date,
+  responseStatus: Number,
+  durationMs: Number,
+  error: String
+}, { _id: false });
+
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // pending -> delivering -> succeeded | pending (retry) | failed (gave up)
+  status: {
+    type: String,
+    enum: ['pending', 'delivering', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: Date,
+  deliveredAt: Date,
+  // Last response, body truncated
+  responseStatus: Number,
+  responseBody: String,
+  error: String,
+  history: [attemptSchema]
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: DELIVERY_TTL_SECONDS });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
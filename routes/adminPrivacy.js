@@ -0,0 +1,169 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const { requireRole } = require('../middleware/auth');
+const { exportSubjectData, eraseSubjectData } = require('../services/privacy');
+const { runPrivacyJob, getPrivacyJobStatus } = require('../jobs/privacyRetention');
+const { hashEmail, recordAudit } = require('../services/audit');
+const { localizeMessages, joiOptions } = require('../services/i18n');
+const { describeRoute } = require('../services/openapi');
+
+// Validation schemas
+const emailField = Joi.string().email().required().messages(localizeMessages({
+  'string.empty': 'Email is required',
+  'string.email': 'Please provide a valid email address'
+}));
+
+const exportQueryValidation = Joi.object({
+  email: emailField
+});
+
+const eraseValidation = Joi.object({
+  email: emailField,
+  reason: Joi.string().trim().max(500).allow('')
+});
+
+const runValidation = Joi.object({
+  dryRun: Joi.boolean().default(false)
+});
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  error: 'Validation Error',
+  message: error.details[0].message,
+  details: error.details.map(detail => detail.message)
+});
+
+// Personal data handling is admin only
+router.use(requireRole('admin'));
+
+// @route   GET /api/admin/privacy/export
+// @desc    Export all feedback stored for an email address
+// @access  Admin
+router.get('/export', describeRoute({
+  summary: 'Export all feedback for an email',
+  query: exportQueryValidation
+}), async (req, res) => {
+  try {
+    const { error, value } = exportQueryValidation.validate(req.query, joiOptions(req.locale));
+    if (error) return validationError(res, error);
+
+    const data = await exportSubjectData(value.email);
+
+    // The address itself is not logged, so a later erasure stays complete
+    await recordAudit(req, {
+      action: 'privacy.export',
+      target: { type: 'subject', id: hashEmail(value.email) },
+      meta: { count: data.count }
+    });
+
+    res.set('Cache-Control', 'no-store');
+    res.json({ success: true, data });
+
+  } catch (error) {
+    console.error('Error exporting subject data:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to export data')
+    });
+  }
+});
+
+// @route   POST /api/admin/privacy/erase
+// @desc    Erase all feedback stored for an email address (e.g. a request received by post)
+// @access  Admin
+router.post('/erase', describeRoute({
+  summary: 'Erase all feedback for an email',
+  body: eraseValidation
+}), async (req, res) => {
+  try {
+    const { error, value } = eraseValidation.validate(req.body, joiOptions(req.locale));
+    if (error) return validationError(res, error);
+
+    const result = await eraseSubjectData(value.email);
+    console.log(`🔒 ${req.admin.email} erased ${result.deletedCount} feedback entries${value.reason ? ` (${value.reason})` : ''}`);
+
+    await recordAudit(req, {
+      action: 'privacy.erase',
+      target: { type: 'subject', id: hashEmail(value.email) },
+      meta: { deletedCount: result.deletedCount, votesDeleted: result.votesDeleted, reason: value.reason || undefined }
+    });
+
+    res.json({
+      success: true,
+      message: req.t('{{count}} feedback entries deleted', { count: result.deletedCount }),
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error erasing subject data:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to erase data')
+    });
+  }
+});
+
+// @route   GET /api/admin/privacy/retention
+// @desc    Retention settings and the report of the last run
+// @access  Admin
+router.get('/retention', describeRoute({ summary: 'Retention settings and last report' }), (req, res) => {
+  res.json({
+    success: true,
+    data: getPrivacyJobStatus()
+  });
+});
+
+// @route   POST /api/admin/privacy/retention/run
+// @desc    Run IP anonymization and retention now (dryRun=true only reports)
+// @access  Admin
+router.post('/retention/run', describeRoute({
+  summary: 'Run anonymization and retention now',
+  body: runValidation
+}), async (req, res) => {
+  try {
+    const { error, value } = runValidation.validate(req.body || {}, joiOptions(req.locale));
+    if (error) return validationError(res, error);
+
+    const report = await runPrivacyJob({
+      dryRun: value.dryRun,
+      trigger: `manual:${req.admin.email}`
+    });
+
+    if (!value.dryRun) {
+      await recordAudit(req, {
+        action: 'privacy.retention-run',
+        meta: {
+          ipsAnonymized: report.ipAnonymization.affected || 0,
+          retentionAction: report.retention.action,
+          retentionAffected: report.retention.affected || 0
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: req.t(value.dryRun ? 'Dry run complete - nothing was changed' : 'Privacy job complete'),
+      data: report
+    });
+
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: req.t(error.message)
+      });
+    }
+    console.error('Error running privacy job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to run privacy job')
+    });
+  }
+});
+
+module.exports = router;
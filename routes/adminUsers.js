@@ -0,0 +1,219 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const AdminUser = require('../models/AdminUser');
+const { requireRole } = require('../middleware/auth');
+const { snapshot, diffSnapshots, recordAudit } = require('../services/audit');
+const { localizeMessages, joiOptions } = require('../services/i18n');
+const { describeRoute } = require('../services/openapi');
+
+// Audited account fields (the password hash is never recorded)
+const ACCOUNT_FIELDS = ['email', 'name', 'role', 'isActive'];
+
+// Validation schemas
+const createValidation = Joi.object({
+  email: Joi.string().email().required().messages(localizeMessages({
+    'string.empty': 'Email is required',
+    'string.email': 'Please provide a valid email address'
+  })),
+  name: Joi.string().trim().min(2).max(100).required(),
+  role: Joi.string().valid(...AdminUser.ROLES).default('viewer'),
+  password: Joi.string().min(10).max(128).required().messages(localizeMessages({
+    'string.min': 'Password must be at least 10 characters long'
+  }))
+});
+
+const updateValidation = Joi.object({
+  name: Joi.string().trim().min(2).max(100),
+  role: Joi.string().valid(...AdminUser.ROLES),
+  isActive: Joi.boolean(),
+  password: Joi.string().min(10).max(128).messages(localizeMessages({
+    'string.min': 'Password must be at least 10 characters long'
+  }))
+}).min(1);
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  error: 'Validation Error',
+  message: error.details[0].message,
+  details: error.details.map(detail => detail.message)
+});
+
+const notFound = (req, res) => res.status(404).json({
+  success: false,
+  error: 'Not Found',
+  message: req.t('Admin user not found')
+});
+
+// Every route in this file is for admins only
+router.use(requireRole('admin'));
+
+// @route   GET /api/admin/users
+// @desc    List admin accounts
+// @access  Admin
+router.get('/', describeRoute({ summary: 'List admin accounts' }), async (req, res) => {
+  try {
+    const users = await AdminUser.find().sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: users,
+      count: users.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching admin users:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to fetch admin users')
+    });
+  }
+});
+
+// @route   POST /api/admin/users
+// @desc    Create an admin account
+// @access  Admin
+router.post('/', describeRoute({
+  summary: 'Create an admin account',
+  body: createValidation,
+  status: 201
+}), async (req, res) => {
+  try {
+    const { error, value } = createValidation.validate(req.body, joiOptions(req.locale));
+    if (error) return validationError(res, error);
+
+    const exists = await AdminUser.exists({ email: value.email.toLowerCase() });
+    if (exists) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conflict',
+        message: req.t('An admin account with this email already exists')
+      });
+    }
+
+    const user = new AdminUser({
+      email: value.email,
+      name: value.name,
+      role: value.role
+    });
+    await user.setPassword(value.password);
+    await user.save();
+
+    await recordAudit(req, {
+      action: 'admin-user.create',
+      target: { type: 'admin-user', id: user._id },
+      changes: diffSnapshots({}, snapshot(user, ACCOUNT_FIELDS))
+    });
+
+    res.status(201).json({
+      success: true,
+      message: req.t('Admin user created successfully'),
+      data: user
+    });
+
+  } catch (error) {
+    console.error('Error creating admin user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to create admin user')
+    });
+  }
+});
+
+// @route   PATCH /api/admin/users/:id
+// @desc    Change name, role, active flag or password
+// @access  Admin
+router.patch('/:id', describeRoute({
+  summary: 'Update role, status or password',
+  body: updateValidation
+}), async (req, res) => {
+  try {
+    const { error, value } = updateValidation.validate(req.body, joiOptions(req.locale));
+    if (error) return validationError(res, error);
+
+    const user = await AdminUser.findById(req.params.id);
+    if (!user) return notFound(req, res);
+
+    // Keep at least one way back in: admins cannot demote or disable themselves
+    if (user._id.equals(req.admin._id) && (value.role && value.role !== 'admin' || value.isActive === false)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid Operation',
+        message: req.t('You cannot demote or deactivate your own account')
+      });
+    }
+
+    const before = snapshot(user, ACCOUNT_FIELDS);
+
+    if (value.name) user.name = value.name;
+    if (value.role) user.role = value.role;
+    if (value.isActive !== undefined) user.isActive = value.isActive;
+    if (value.password) {
+      await user.setPassword(value.password);
+      // A reset password must not leave old sessions alive
+      user.tokenVersion += 1;
+    }
+    await user.save();
+
+    const changes = diffSnapshots(before, snapshot(user, ACCOUNT_FIELDS));
+    if (value.password) changes.push({ field: 'password', before: null, after: '[reset]' });
+    await recordAudit(req, {
+      action: 'admin-user.update',
+      target: { type: 'admin-user', id: user._id },
+      changes
+    });
+
+    res.json({
+      success: true,
+      message: req.t('Admin user updated successfully'),
+      data: user
+    });
+
+  } catch (error) {
+    console.error('Error updating admin user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to update admin user')
+    });
+  }
+});
+
+// @route   POST /api/admin/users/:id/revoke-tokens
+// @desc    Log a user out everywhere by invalidating all their tokens
+// @access  Admin
+router.post('/:id/revoke-tokens', describeRoute({
+  summary: 'Revoke all sessions of a user'
+}), async (req, res) => {
+  try {
+    const user = await AdminUser.findByIdAndUpdate(
+      req.params.id,
+      { $inc: { tokenVersion: 1 } },
+      { new: true }
+    );
+    if (!user) return notFound(req, res);
+
+    await recordAudit(req, {
+      action: 'admin-user.revoke-tokens',
+      target: { type: 'admin-user', id: user._id },
+      meta: { email: user.email }
+    });
+
+    res.json({
+      success: true,
+      message: req.t('All sessions for {{email}} have been revoked', { email: user.email })
+    });
+
+  } catch (error) {
+    console.error('Error revoking tokens:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to revoke tokens')
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,187 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const AuditLog = require('../models/AuditLog');
+const { requireRole } = require('../middleware/auth');
+const { FORMATS, writeExport } = require('../services/export');
+const { recordAudit } = require('../services/audit');
+const { localizeMessages, joiOptions } = require('../services/i18n');
+const { describeRoute } = require('../services/openapi');
+
+const EXPORT_COLUMNS = [
+  'id', 'createdAt', 'actor.email', 'actor.role', 'action', 'target.type', 'target.id',
+  'ip', 'userAgent', 'changes', 'meta'
+];
+
+// Validation schemas
+const filterFields = {
+  actor: Joi.string().trim().lowercase().max(200),
+  // Exact action, or a prefix ending in "." (e.g. "feedback.")
+  action: Joi.string().trim().max(100),
+  targetType: Joi.string().trim().max(50),
+  targetId: Joi.string().trim().max(100),
+  from: Joi.date().iso(),
+  to: Joi.date().iso()
+    .when('from', {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref('from')).messages(localizeMessages({
+        'date.min': '"to" must not be before "from"'
+      }))
+    })
+};
+
+const listQueryValidation = Joi.object({
+  ...filterFields,
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(50)
+});
+
+const exportQueryValidation = Joi.object({
+  ...filterFields,
+  format: Joi.string().valid(...Object.keys(FORMATS)).default('csv')
+});
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  error: 'Validation Error',
+  message: error.details[0].message,
+  details: error.details.map(detail => detail.message)
+});
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const buildAuditFilter = (params) => {
+  const filter = {};
+
+  if (params.actor) filter['actor.email'] = params.actor;
+  if (params.action) {
+    filter.action = params.action.endsWith('.')
+      ? { $regex: `^${escapeRegex(params.action)}` }
+      : params.action;
+  }
+  if (params.targetType) filter['target.type'] = params.targetType;
+  if (params.targetId) filter['target.id'] = params.targetId;
+
+  if (params.from || params.to) {
+    filter.createdAt = {};
+    if (params.from) filter.createdAt.$gte = params.from;
+    if (params.to) filter.createdAt.$lte = params.to;
+  }
+
+  return filter;
+};
+
+// Nested values do not fit a CSV cell; store them as JSON text
+async function* flattenForCsv(source) {
+  for await (const entry of source) {
+    yield {
+      ...entry,
+      changes: entry.changes && entry.changes.length > 0 ? JSON.stringify(entry.changes) : '',
+      meta: entry.meta ? JSON.stringify(entry.meta) : ''
+    };
+  }
+}
+
+// The audit log is for admins only
+router.use(requireRole('admin'));
+
+// @route   GET /api/admin/audit
+// @desc    Browse the audit log (newest first)
+// @access  Admin
+router.get('/', describeRoute({
+  summary: 'Browse the audit log of admin actions',
+  query: listQueryValidation
+}), async (req, res) => {
+  try {
+    const { error, value } = listQueryValidation.validate(req.query, joiOptions(req.locale));
+    if (error) return validationError(res, error);
+
+    const filter = buildAuditFilter(value);
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((value.page - 1) * value.limit)
+        .limit(value.limit)
+        .lean(),
+      AuditLog.countDocuments(filter)
+    ]);
+    const totalPages = Math.ceil(total / value.limit);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        currentPage: value.page,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: value.limit,
+        hasNextPage: value.page < totalPages,
+        hasPrevPage: value.page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to fetch audit log')
+    });
+  }
+});
+
+// @route   GET /api/admin/audit/export
+// @desc    Stream audit entries matching the filters as CSV, JSON or NDJSON
+// @access  Admin
+router.get('/export', describeRoute({
+  summary: 'Export the audit log as CSV, JSON or NDJSON',
+  query: exportQueryValidation,
+  produces: ['text/csv', 'application/json', 'application/x-ndjson']
+}), async (req, res) => {
+  let cursor;
+  try {
+    const { error, value } = exportQueryValidation.validate(req.query, joiOptions(req.locale));
+    if (error) return validationError(res, error);
+
+    const { format, ...filters } = value;
+    cursor = AuditLog.find(buildAuditFilter(filters))
+      .sort({ createdAt: -1, _id: -1 })
+      .lean()
+      .cursor();
+    res.on('close', () => cursor.close().catch(() => {}));
+
+    const { contentType, extension } = FORMATS[format];
+    const fileName = `audit-log-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    res.status(200);
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'Cache-Control': 'no-store'
+    });
+
+    const source = format === 'csv' ? flattenForCsv(cursor) : cursor;
+    const count = await writeExport(res, source, { format, columns: EXPORT_COLUMNS });
+    res.end();
+
+    await recordAudit(req, {
+      action: 'audit.export',
+      meta: { format, count, filters }
+    });
+
+  } catch (error) {
+    console.error('Error exporting audit log:', error);
+    if (cursor) cursor.close().catch(() => {});
+
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to export audit log')
+    });
+  }
+});
+
+module.exports = router;
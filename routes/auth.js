@@ -0,0 +1,233 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const bcrypt = require('bcryptjs');
+const AdminUser = require('../models/AdminUser');
+const RevokedToken = require('../models/RevokedToken');
+const { authenticate } = require('../middleware/auth');
+const { signToken } = require('../services/tokens');
+const { recordAudit } = require('../services/audit');
+const { localizeMessages, joiOptions } = require('../services/i18n');
+const { describeRoute } = require('../services/openapi');
+
+const TOKEN_TTL = process.env.ADMIN_TOKEN_TTL || '8h';
+
+// Compared against when the email is unknown, so that a failed login takes as
+// long as a wrong password (same cost factor as AdminUser passwords)
+const DUMMY_PASSWORD_HASH = '$2a$12$aDJ19jasa/ZPUVwc6VqxHOtyek2axyV1xkyarnJIiVqLeSSpjPd7a';
+
+// Validation schemas
+const loginValidation = Joi.object({
+  email: Joi.string().email().required().messages(localizeMessages({
+    'string.empty': 'Email is required',
+    'string.email': 'Please provide a valid email address'
+  })),
+  password: Joi.string().required().messages(localizeMessages({
+    'string.empty': 'Password is required'
+  }))
+});
+
+const passwordValidation = Joi.object({
+  currentPassword: Joi.string().required(),
+  newPassword: Joi.string().min(10).max(128).required().messages(localizeMessages({
+    'string.min': 'New password must be at least 10 characters long'
+  }))
+});
+
+// Slow down password guessing
+const loginLimiter = require('express-rate-limit')({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // limit each IP to 10 login attempts per windowMs
+  message: (req) => ({
+    error: req.t('Too many login attempts. Please try again later.'),
+  }),
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipSuccessfulRequests: true,
+});
+
+// @route   POST /api/auth/login
+// @desc    Log in with an admin account and receive a bearer token
+// @access  Public
+router.post('/login', describeRoute({
+  summary: 'Log in and receive an admin token',
+  body: loginValidation
+}), loginLimiter, async (req, res) => {
+  try {
+    const { error, value } = loginValidation.validate(req.body, joiOptions(req.locale));
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: error.details[0].message,
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const admin = await AdminUser.findOne({ email: value.email.toLowerCase() })
+      .select('+passwordHash');
+
+    // Same response (and timing) for unknown users, wrong passwords and
+    // disabled accounts: the password is always checked against some hash
+    const passwordMatches = admin
+      ? await admin.comparePassword(value.password)
+      : await bcrypt.compare(value.password, DUMMY_PASSWORD_HASH);
+
+    if (!admin || !admin.isActive || !passwordMatches) {
+      await recordAudit(req, {
+        action: 'auth.login-failed',
+        actor: admin || { email: value.email.toLowerCase() },
+        target: { type: 'admin-user', id: admin && admin._id }
+      });
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized',
+        message: req.t('Invalid email or password')
+      });
+    }
+
+    admin.lastLoginAt = new Date();
+    await admin.save();
+
+    await recordAudit(req, {
+      action: 'auth.login',
+      actor: admin,
+      target: { type: 'admin-user', id: admin._id }
+    });
+
+    const token = signToken(
+      { sub: admin._id.toString(), ver: admin.tokenVersion },
+      { purpose: 'admin', expiresIn: TOKEN_TTL }
+    );
+
+    res.json({
+      success: true,
+      message: req.t('Logged in successfully'),
+      data: {
+        token,
+        expiresIn: TOKEN_TTL,
+        user: admin
+      }
+    });
+
+    console.log(`🔐 Admin login: ${admin.email} (${admin.role})`);
+
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to log in')
+    });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Revoke the token used for this request
+// @access  Admin (any role)
+router.post('/logout', describeRoute({
+  summary: 'Revoke the current token'
+}), authenticate, async (req, res) => {
+  try {
+    await RevokedToken.updateOne(
+      { jti: req.authToken.jti },
+      {
+        $setOnInsert: {
+          user: req.admin._id,
+          expiresAt: new Date(req.authToken.exp * 1000)
+        }
+      },
+      { upsert: true }
+    );
+
+    await recordAudit(req, {
+      action: 'auth.logout',
+      target: { type: 'admin-user', id: req.admin._id }
+    });
+
+    res.json({
+      success: true,
+      message: req.t('Logged out successfully')
+    });
+
+  } catch (error) {
+    console.error('Error logging out:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to log out')
+    });
+  }
+});
+
+// @route   GET /api/auth/me
+// @desc    Get the logged-in admin account
+// @access  Admin (any role)
+router.get('/me', describeRoute({ summary: 'Get the logged-in admin' }), authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: req.admin
+  });
+});
+
+// @route   POST /api/auth/password
+// @desc    Change own password (revokes all other sessions)
+// @access  Admin (any role)
+router.post('/password', describeRoute({
+  summary: 'Change own password',
+  body: passwordValidation
+}), authenticate, async (req, res) => {
+  try {
+    const { error, value } = passwordValidation.validate(req.body, joiOptions(req.locale));
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: error.details[0].message,
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const admin = await AdminUser.findById(req.admin._id).select('+passwordHash');
+    if (!(await admin.comparePassword(value.currentPassword))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized',
+        message: req.t('Current password is incorrect')
+      });
+    }
+
+    await admin.setPassword(value.newPassword);
+    admin.tokenVersion += 1;
+    await admin.save();
+
+    await recordAudit(req, {
+      action: 'auth.password-change',
+      target: { type: 'admin-user', id: admin._id }
+    });
+
+    const token = signToken(
+      { sub: admin._id.toString(), ver: admin.tokenVersion },
+      { purpose: 'admin', expiresIn: TOKEN_TTL }
+    );
+
+    res.json({
+      success: true,
+      message: req.t('Password changed. Other sessions have been logged out.'),
+      data: {
+        token,
+        expiresIn: TOKEN_TTL
+      }
+    });
+
+  } catch (error) {
+    console.error('Error changing password:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to change password')
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,191 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const DeviceKey = require('../models/DeviceKey');
+const { requireRole } = require('../middleware/auth');
+const { snapshot, diffSnapshots, recordAudit } = require('../services/audit');
+const { joiOptions } = require('../services/i18n');
+const { describeRoute } = require('../services/openapi');
+
+const DEVICE_KEY_FIELDS = ['name', 'contactEmail', 'tags', 'isActive'];
+
+// Validation schemas
+const deviceKeyFields = {
+  name: Joi.string().trim().min(2).max(100),
+  contactEmail: Joi.string().email().allow(null),
+  tags: Joi.array().items(Joi.string().trim().lowercase().min(1).max(50)).max(10).unique(),
+  isActive: Joi.boolean()
+};
+
+const createValidation = Joi.object({
+  ...deviceKeyFields,
+  name: deviceKeyFields.name.required()
+});
+
+const updateValidation = Joi.object(deviceKeyFields).min(1);
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  error: 'Validation Error',
+  message: error.details[0].message,
+  details: error.details.map(detail => detail.message)
+});
+
+// Mongoose validation errors (the model's messages are translated like the route's own)
+const modelValidationError = (req, res, error) => {
+  const details = Object.values(error.errors).map(err => req.t(err.message));
+  return res.status(400).json({
+    success: false,
+    error: 'Validation Error',
+    message: details[0],
+    details
+  });
+};
+
+const notFound = (req, res) => res.status(404).json({
+  success: false,
+  error: 'Not Found',
+  message: req.t('Device key not found')
+});
+
+// Device keys let anything holding them submit feedback, so only admins manage them
+router.use(requireRole('admin'));
+
+// @route   GET /api/admin/device-keys
+// @desc    List device keys (the keys themselves are never returned)
+// @access  Admin
+router.get('/', describeRoute({ summary: 'List device keys' }), async (req, res) => {
+  try {
+    const keys = await DeviceKey.find().sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: keys,
+      count: keys.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching device keys:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to fetch device keys')
+    });
+  }
+});
+
+// @route   POST /api/admin/device-keys
+// @desc    Create a device key (the key is only returned here)
+// @access  Admin
+router.post('/', describeRoute({
+  summary: 'Create a device key',
+  body: createValidation,
+  status: 201
+}), async (req, res) => {
+  try {
+    const { error, value } = createValidation.validate(req.body, joiOptions(req.locale));
+    if (error) return validationError(res, error);
+
+    const { key, keyHash, keyPreview } = DeviceKey.generateKey();
+    const deviceKey = await DeviceKey.create({
+      ...value,
+      keyHash,
+      keyPreview,
+      createdBy: req.admin.email,
+      updatedBy: req.admin.email
+    });
+
+    await recordAudit(req, {
+      action: 'device-key.create',
+      target: { type: 'device-key', id: deviceKey._id },
+      changes: diffSnapshots({}, snapshot(deviceKey, DEVICE_KEY_FIELDS))
+    });
+
+    res.status(201).json({
+      success: true,
+      message: req.t('Device key created. Store the key now - it will not be shown again.'),
+      data: { ...deviceKey.toJSON(), key }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') return modelValidationError(req, res, error);
+    console.error('Error creating device key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to create device key')
+    });
+  }
+});
+
+// @route   PATCH /api/admin/device-keys/:id
+// @desc    Rename, change defaults, or disable/enable a device key
+// @access  Admin
+router.patch('/:id', describeRoute({
+  summary: 'Update or disable a device key',
+  body: updateValidation
+}), async (req, res) => {
+  try {
+    const { error, value } = updateValidation.validate(req.body, joiOptions(req.locale));
+    if (error) return validationError(res, error);
+
+    const deviceKey = await DeviceKey.findById(req.params.id);
+    if (!deviceKey) return notFound(req, res);
+
+    const before = snapshot(deviceKey, DEVICE_KEY_FIELDS);
+    deviceKey.set({ ...value, updatedBy: req.admin.email });
+    await deviceKey.save();
+
+    await recordAudit(req, {
+      action: 'device-key.update',
+      target: { type: 'device-key', id: deviceKey._id },
+      changes: diffSnapshots(before, snapshot(deviceKey, DEVICE_KEY_FIELDS))
+    });
+
+    res.json({
+      success: true,
+      message: req.t('Device key updated successfully'),
+      data: deviceKey
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') return modelValidationError(req, res, error);
+    console.error('Error updating device key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to update device key')
+    });
+  }
+});
+
+// @route   DELETE /api/admin/device-keys/:id
+// @desc    Revoke a device key permanently (reports already sent are kept)
+// @access  Admin
+router.delete('/:id', describeRoute({ summary: 'Revoke a device key' }), async (req, res) => {
+  try {
+    const deviceKey = await DeviceKey.findByIdAndDelete(req.params.id);
+    if (!deviceKey) return notFound(req, res);
+
+    await recordAudit(req, {
+      action: 'device-key.delete',
+      target: { type: 'device-key', id: deviceKey._id },
+      changes: diffSnapshots(snapshot(deviceKey, DEVICE_KEY_FIELDS), {})
+    });
+
+    res.json({
+      success: true,
+      message: req.t('Device key revoked')
+    });
+
+  } catch (error) {
+    console.error('Error deleting device key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to revoke device key')
+    });
+  }
+});
+
+module.exports = router;
@@ -1,42 +1,305 @@
 const express = require('express');
 const router = express.Router();
 const Joi = require('joi');
+const multer = require('multer');
 const Feedback = require('../models/Feedback');
+const {
+  requireRole,
+  requireRoleOrTicket,
+  authenticateOptional,
+  authenticateDevice
+} = require('../middleware/auth');
+const { replyToFeedback, deliverResponse } = require('../services/responses');
+const { SORT_FIELDS, buildFeedbackFilter, buildFeedbackSort } = require('../services/feedbackQuery');
+const { CursorError, getSortField, applyCursor, buildCursorPage } = require('../services/pagination');
+const { FORMATS, writeExport } = require('../services/export');
+const { submissionValidation, deviceSubmissionValidation } = require('../validation/feedback');
+const { ImportFormatError, parseImport, importFeedback } = require('../services/importer');
+const { FORM_TOKEN_TTL, issueFormToken, scoreSubmission } = require('../services/spam');
+const { snapshot, diffSnapshots, recordAudit } = require('../services/audit');
+const { getTrashRetentionDays } = require('../jobs/purgeTrash');
+const { emitFeedbackEvent } = require('../services/webhooks');
+const {
+  publishFeedbackEvent,
+  eventsSince,
+  subscribe,
+  matchesFilters,
+  getSubscriberCount
+} = require('../services/liveFeed');
+const { signToken } = require('../services/tokens');
+const { describeRoute } = require('../services/openapi');
+const { localize } = require('../middleware/locale');
+const {
+  normalizeLanguage,
+  localizeMessages,
+  joiOptions,
+  detectLanguage
+} = require('../services/i18n');
+const {
+  AttachmentError,
+  getAttachmentLimits,
+  prepareAttachments,
+  storeAttachments,
+  readAttachment,
+  removeStoredAttachments
+} = require('../services/attachments');
+const { issueTrackingToken, buildTrackingUrl, findByTrackingToken } = require('../services/tracking');
+const {
+  VoteError,
+  resolveVoter,
+  castVote,
+  retractVote,
+  sendVoterLink,
+  exchangeVoterLink,
+  getVoteVelocity,
+  removeVotesFor
+} = require('../services/voting');
+const {
+  isVerificationEnabled,
+  verificationFields,
+  sendVerification,
+  confirmVerification
+} = require('../services/verification');
 
-// Validation schema
-const feedbackValidation = Joi.object({
-  name: Joi.string().min(2).max(100).required().messages({
-    'string.empty': 'Name is required',
-    'string.min': 'Name must be at least 2 characters long',
-    'string.max': 'Name cannot exceed 100 characters'
-  }),
-  email: Joi.string().email().required().messages({
-    'string.empty': 'Email is required',
-    'string.email': 'Please provide a valid email address'
-  }),
-  contactNumber: Joi.string().min(10).max(20).optional().allow('').messages({
-    'string.min': 'Contact number must be at least 10 digits',
-    'string.max': 'Contact number cannot exceed 20 characters'
-  }),
-  message: Joi.string().min(10).max(1000).required().messages({
-    'string.empty': 'Message is required',
-    'string.min': 'Message must be at least 10 characters long',
-    'string.max': 'Message cannot exceed 1000 characters'
-  }),
-  rating: Joi.number().min(1).max(5).optional().default(5).messages({
-    'number.min': 'Rating must be at least 1',
-    'number.max': 'Rating cannot exceed 5'
+// Triage validation (values are checked against the schema enums)
+const STATUSES = Feedback.schema.path('status').enumValues;
+const PRIORITIES = Feedback.schema.path('priority').enumValues;
+const tagList = Joi.array().items(Joi.string().trim().lowercase().min(1).max(50)).max(20);
+
+const triageUpdate = Joi.object({
+  status: Joi.string().valid(...STATUSES),
+  priority: Joi.string().valid(...PRIORITIES),
+  isPublic: Joi.boolean(),
+  tags: Joi.object({
+    add: tagList.default([]),
+    remove: tagList.default([])
   })
+}).min(1).messages(localizeMessages({
+  'object.min': 'Provide at least one of status, priority, isPublic or tags',
+  'any.only': '{#label} must be one of: {#valids}'
+}));
+
+const bulkTriageValidation = Joi.object({
+  ids: Joi.array().items(Joi.string().hex().length(24)).min(1).max(500).unique(),
+  filter: Joi.object({
+    status: Joi.string().valid(...STATUSES),
+    priority: Joi.string().valid(...PRIORITIES),
+    tag: Joi.string().trim().lowercase(),
+    isPublic: Joi.boolean()
+  }).min(1),
+  update: triageUpdate.required()
+}).xor('ids', 'filter').messages(localizeMessages({
+  'object.missing': 'Provide either ids or filter',
+  'object.xor': 'Provide either ids or filter, not both',
+  'object.min': 'filter must contain at least one field'
+}));
+
+const replyValidation = Joi.object({
+  message: Joi.string().trim().min(2).max(5000).required().messages(localizeMessages({
+    'string.empty': 'Response message is required',
+    'string.min': 'Response message must be at least 2 characters long',
+    'string.max': 'Response message cannot exceed 5000 characters'
+  })),
+  // Defaults to the logged-in admin's name
+  respondedBy: Joi.string().trim().max(100)
+});
+
+// Fields shown in public listings
+// (the id is included so visitors can vote on feature requests)
+const PUBLIC_FIELDS = 'name message createdAt formattedDate timeAgo tags priority votes';
+const isPublicField = (field) => PUBLIC_FIELDS.split(' ')
+  .some(name => field === name || field.startsWith(`${name}.`));
+
+// List query validation (GET /api/feedback)
+// `tags` accepts a comma-separated list or a repeated query parameter
+// Passing `cursor` (or `paginate=cursor` for the first page) switches to cursor mode
+const listQueryValidation = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(10),
+  paginate: Joi.string().valid('page', 'cursor').default('page'),
+  cursor: Joi.string().max(500),
+  publicOnly: Joi.boolean().default(true),
+  status: Joi.string().valid(...STATUSES),
+  priority: Joi.string().valid(...PRIORITIES),
+  moderationStatus: Joi.string().valid('pending', 'approved', 'rejected'),
+  q: Joi.string().trim().min(2).max(200).messages(localizeMessages({
+    'string.min': 'Search query must be at least 2 characters long'
+  })),
+  tags: Joi.alternatives().try(
+    Joi.array().items(Joi.string()),
+    Joi.string()
+  ).custom(value => [].concat(value)
+    .flatMap(tag => tag.split(','))
+    .map(tag => tag.trim().toLowerCase())
+    .filter(Boolean)),
+  tagMode: Joi.string().valid('any', 'all').default('any'),
+  minRating: Joi.number().integer().min(1).max(5),
+  maxRating: Joi.number().integer().min(1).max(5)
+    .when('minRating', {
+      is: Joi.exist(),
+      then: Joi.number().min(Joi.ref('minRating')).messages(localizeMessages({
+        'number.min': '"maxRating" must not be less than "minRating"'
+      }))
+    }),
+  from: Joi.date().iso(),
+  to: Joi.date().iso()
+    .when('from', {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref('from')).messages(localizeMessages({
+        'date.min': '"to" must not be before "from"'
+      }))
+    }),
+  hasResponse: Joi.boolean(),
+  deviceId: Joi.string().trim().max(100),
+  firmwareVersion: Joi.string().trim().max(50),
+  appVersion: Joi.string().trim().max(50),
+  platform: Joi.string().trim().lowercase().max(50),
+  errorCode: Joi.string().trim().max(50),
+  hasDevice: Joi.boolean(),
+  language: Joi.string().trim().lowercase().max(10),
+  sort: Joi.string().valid(...SORT_FIELDS),
+  order: Joi.string().valid('asc', 'desc').default('desc')
+}).messages(localizeMessages({
+  'any.only': '{#label} must be one of: {#valids}',
+  'date.format': '{#label} must be an ISO 8601 date'
+}));
+
+// Export validation: same filters as the list, without paging
+// Sensitive columns are only exported on explicit request by an admin
+const EXPORT_COLUMNS = [
+  'id', 'name', 'email', 'contactNumber', 'message', 'rating', 'status', 'priority',
+  'tags', 'language', 'isPublic', 'response.message', 'response.respondedBy', 'response.respondedAt',
+  'device.deviceId', 'device.platform', 'device.firmwareVersion', 'device.appVersion',
+  'device.errorCodes', 'votes.up', 'votes.down', 'votes.score', 'createdAt', 'updatedAt'
+];
+const SENSITIVE_COLUMNS = ['ipAddress', 'userAgent'];
+
+// Fields recorded in the audit log when feedback is triaged or deleted
+// (contact details and message text are left out so erasure stays complete)
+const TRIAGE_FIELDS = ['status', 'priority', 'isPublic', 'tags'];
+const DELETE_SNAPSHOT_FIELDS = [...TRIAGE_FIELDS, 'rating', 'source', 'createdAt'];
+
+const exportQueryValidation = listQueryValidation
+  .fork(['page', 'limit', 'paginate', 'cursor'], () => Joi.any().forbidden())
+  .keys({
+    publicOnly: Joi.boolean().default(false),
+    format: Joi.string().valid(...Object.keys(FORMATS)).default('csv'),
+    columns: Joi.string().custom((value, helpers) => {
+      const columns = value.split(',').map(column => column.trim()).filter(Boolean);
+      const unknown = columns.find(column =>
+        !EXPORT_COLUMNS.includes(column) && !SENSITIVE_COLUMNS.includes(column));
+      if (unknown) {
+        return helpers.message(localizeMessages({ custom: 'Unknown column "{#column}". Available: {#available}' }), {
+          column: unknown,
+          available: [...EXPORT_COLUMNS, ...SENSITIVE_COLUMNS].join(', ')
+        });
+      }
+      return columns;
+    }),
+    includeSensitive: Joi.boolean().default(false)
+  });
+
+const importQueryValidation = Joi.object({
+  format: Joi.string().valid('csv', 'json'),
+  dryRun: Joi.boolean().default(false),
+  source: Joi.string().trim().lowercase().pattern(/^[a-z0-9-]+$/).max(50).default('import')
+    .messages(localizeMessages({ 'string.pattern.base': 'source may only contain letters, numbers and dashes' }))
+});
+
+// Analytics range (defaults to the last 30 days)
+const ANALYTICS_MAX_BUCKETS = 400;
+const analyticsQueryValidation = Joi.object({
+  from: Joi.date().iso(),
+  to: Joi.date().iso()
+    .when('from', {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref('from')).messages(localizeMessages({
+        'date.min': '"to" must not be before "from"'
+      }))
+    }),
+  interval: Joi.string().valid('day', 'week', 'month').default('day')
+}).messages(localizeMessages({
+  'any.only': '{#label} must be one of: {#valids}',
+  'date.format': '{#label} must be an ISO 8601 date'
+}));
+
+// Device report breakdown (GET /api/feedback/analytics/devices)
+const DEVICE_GROUPS = ['firmwareVersion', 'appVersion', 'platform'];
+const deviceAnalyticsQueryValidation = analyticsQueryValidation.keys({
+  groupBy: Joi.string().valid(...DEVICE_GROUPS).default('firmwareVersion'),
+  platform: Joi.string().trim().lowercase().max(50),
+  limit: Joi.number().integer().min(1).max(50).default(10)
+});
+
+const recentQueryValidation = Joi.object({
+  limit: Joi.number().integer().min(1).max(50).default(5),
+  paginate: Joi.string().valid('page', 'cursor'),
+  cursor: Joi.string().max(500)
+});
+
+// Live feed filters (GET /api/feedback/live)
+const liveQueryValidation = Joi.object({
+  status: Joi.string().valid(...STATUSES),
+  priority: Joi.string().valid(...PRIORITIES),
+  tags: listQueryValidation.extract('tags'),
+  tagMode: Joi.string().valid('any', 'all').default('any'),
+  // Same as the Last-Event-ID header, for clients that cannot set it
+  lastEventId: Joi.string().max(100),
+  ticket: Joi.string()
+});
+
+const LIVE_TICKET_TTL = 60; // seconds
+const LIVE_HEARTBEAT_MS = parseInt(process.env.LIVE_HEARTBEAT_MS || '25000');
+const LIVE_MAX_CLIENTS = parseInt(process.env.LIVE_MAX_CLIENTS || '100');
+
+const threadMessageValidation = Joi.object({
+  message: Joi.string().trim().min(2).max(2000).required().messages(localizeMessages({
+    'string.empty': 'Message is required',
+    'string.min': 'Message must be at least 2 characters long',
+    'string.max': 'Message cannot exceed 2000 characters'
+  }))
+});
+
+// Follow-ups a submitter can post to one feedback thread
+const MAX_THREAD_MESSAGES = 50;
+
+// Votes identify the visitor by an anonymous fingerprint or a voter token
+// (sent in the body or the X-Voter-Token header)
+const voteValidation = Joi.object({
+  fingerprint: Joi.string().trim().min(8).max(200),
+  voterToken: Joi.string().max(2000)
+}).or('fingerprint', 'voterToken').messages(localizeMessages({
+  'object.missing': 'A fingerprint or voter token is required to vote'
+}));
+
+const voterLinkValidation = Joi.object({
+  email: Joi.string().email().required()
+});
+
+// Signed token from an emailed link
+const tokenQueryValidation = Joi.object({
+  token: Joi.string().required()
+});
+
+const trashQueryValidation = Joi.object({
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
 });
 
+// Reject updates that add and remove the same tag
+const findTagConflict = (tags) => {
+  if (!tags) return null;
+  return tags.add.find(tag => tags.remove.includes(tag)) || null;
+};
+
 // Rate limiting for feedback submission
 // Allows multiple users from same network (office/school) to submit
 const feedbackLimiter = require('express-rate-limit')({
   windowMs: 60 * 1000, // 1 minute
   max: 5, // limit each IP to 5 feedback submissions per minute
-  message: {
-    error: 'Too many submissions from this network. Please wait a moment before trying again.',
-  },
+  message: (req) => ({
+    error: req.t('Too many submissions from this network. Please wait a moment before trying again.'),
+  }),
   standardHeaders: true,
   legacyHeaders: false,
   // Skip successful requests from counting (only count failed attempts)
@@ -45,13 +308,125 @@ const feedbackLimiter = require('express-rate-limit')({
   skipFailedRequests: true,
 });
 
+// Screenshots and logs sent as multipart/form-data in the "attachments" field
+// Files are held in memory until they have been checked; JSON submissions pass straight through
+const attachmentLimits = getAttachmentLimits();
+const attachmentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    files: attachmentLimits.maxFiles,
+    fileSize: Math.max(attachmentLimits.maxImageBytes, attachmentLimits.maxLogBytes),
+    fields: 20
+  }
+}).array('attachments', attachmentLimits.maxFiles);
+
+// Multipart forms send every field as text, so the device block arrives as JSON
+const parseDeviceField = (body) => {
+  if (!body || typeof body.device !== 'string') return body;
+  try {
+    return { ...body, device: JSON.parse(body.device) };
+  } catch (error) {
+    // Left as a string so validation reports it
+    return body;
+  }
+};
+
+// Save a new submission with its attachments; stored files are removed again if saving fails
+const saveSubmission = async (feedback, attachments) => {
+  if (attachments.length > 0) {
+    await storeAttachments(feedback, attachments);
+  }
+  try {
+    await feedback.save();
+  } catch (saveError) {
+    await removeStoredAttachments(feedback);
+    throw saveError;
+  }
+  return feedback;
+};
+
+// Mongoose validation errors (the model's messages are translated like the route's own)
+const modelValidationError = (req, res, error) => {
+  const details = Object.values(error.errors).map(err => req.t(err.message));
+  return res.status(400).json({
+    success: false,
+    error: 'Validation Error',
+    message: details[0],
+    details
+  });
+};
+
+const invalidAttachment = (req, res, error) => res.status(error.status).json({
+  success: false,
+  error: 'Invalid Attachment',
+  message: req.t(error.template, error.params)
+});
+
+// Slows down visitors who rotate fingerprints to vote again
+const voteLimiter = require('express-rate-limit')({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: parseInt(process.env.VOTE_RATE_LIMIT_MAX || '60'),
+  message: (req) => ({
+    error: req.t('Too many votes from this network. Please try again later.'),
+  }),
+  standardHeaders: true,
+  legacyHeaders: false,
+  skipFailedRequests: true,
+});
+
+const voterLinkLimiter = require('express-rate-limit')({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5,
+  message: (req) => ({
+    error: req.t('Too many confirmation emails requested. Please try again later.'),
+  }),
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Device reports are limited per key rather than per network
+const deviceLimiter = require('express-rate-limit')({
+  windowMs: 60 * 1000, // 1 minute
+  max: parseInt(process.env.DEVICE_RATE_LIMIT_MAX || '30'),
+  keyGenerator: (req) => String(req.deviceKey._id),
+  message: (req) => ({
+    error: req.t('Too many reports from this device key. Please wait a moment before trying again.'),
+  }),
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const MULTER_MESSAGES = {
+  LIMIT_FILE_SIZE: 'An attachment is larger than the allowed size',
+  LIMIT_FILE_COUNT: 'At most {{max}} attachments are allowed',
+  LIMIT_UNEXPECTED_FILE: 'Files must be sent in the "attachments" field (at most {{max}})'
+};
+
+// Multipart fields (including `lang`) are only available once the body is parsed
+const handleAttachmentUpload = (req, res, next) => attachmentUpload(req, res, (error) => {
+  if (!error) return localize(req, res, next);
+  if (error instanceof multer.MulterError) {
+    return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+      success: false,
+      error: 'Invalid Attachment',
+      message: req.t(MULTER_MESSAGES[error.code] || error.message, { max: attachmentLimits.maxFiles })
+    });
+  }
+  next(error);
+});
+
 // @route   POST /api/feedback
-// @desc    Submit new feedback
+// @desc    Submit new feedback (JSON, or multipart/form-data with attachments)
 // @access  Public
-router.post('/', feedbackLimiter, async (req, res) => {
+router.post('/', describeRoute({
+  summary: 'Submit new feedback (JSON, or multipart with attachments)',
+  body: submissionValidation,
+  multipart: true,
+  status: 201
+}), feedbackLimiter, handleAttachmentUpload, async (req, res) => {
   try {
     // Validate input
-    const { error, value } = feedbackValidation.validate(req.body);
+    const { error, value: submission } = submissionValidation.validate(parseDeviceField(req.body), joiOptions(req.locale));
     if (error) {
       return res.status(400).json({
         success: false,
@@ -61,6 +436,8 @@ router.post('/', feedbackLimiter, async (req, res) => {
       });
     }
 
+    const { website: honeypot, formToken, lang, ...value } = submission;
+
     // Check for duplicate submissions (same email + similar message in last hour)
     const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
     const existingFeedback = await Feedback.findOne({
@@ -72,84 +449,287 @@ router.post('/', feedbackLimiter, async (req, res) => {
       return res.status(429).json({
         success: false,
         error: 'Duplicate Submission',
-        message: 'You have already submitted feedback recently. Please wait before submitting again.'
+        message: req.t('You have already submitted feedback recently. Please wait before submitting again.')
       });
     }
 
+    // Refuse unsupported or oversized files before anything is stored
+    const attachments = prepareAttachments(req.files);
+
+    // Score for spam; high scorers are saved but quarantined, never rejected
+    const spam = await scoreSubmission({ value, honeypot, formToken });
+
     // Create new feedback
+    // The language stated by the form, else the one the message is written in,
+    // else the visitor's browser language
     const feedbackData = {
       ...value,
+      language: normalizeLanguage(lang) || detectLanguage(value.message) || req.locale,
       ipAddress: req.ip,
-      userAgent: req.get('User-Agent')
+      userAgent: req.get('User-Agent'),
+      spam
     };
+    if (spam.quarantined) {
+      feedbackData.moderation = { flags: ['spam'] };
+    }
 
-    const feedback = new Feedback(feedbackData);
-    await feedback.save();
+    // Unverified feedback stays out of public listings and stats until confirmed
+    const needsVerification = isVerificationEnabled();
+    if (needsVerification) {
+      Object.assign(feedbackData, verificationFields());
+    }
+
+    const feedback = await saveSubmission(new Feedback(feedbackData), attachments);
+
+    // Private link for following the conversation; only returned here and in reply emails
+    const trackingToken = issueTrackingToken(feedback);
 
     // Return success response (without sensitive data)
     res.status(201).json({
       success: true,
-      message: 'Thank you for your feedback! We appreciate your input and will review it soon.',
+      message: needsVerification
+        ? req.t('Thank you for your feedback! Please check your email and confirm your submission.')
+        : req.t('Thank you for your feedback! We appreciate your input and will review it soon.'),
       data: {
         id: feedback._id,
         name: feedback.name,
         message: feedback.message,
         submittedAt: feedback.createdAt,
-        status: feedback.status
+        status: feedback.status,
+        moderationStatus: feedback.moderation.status,
+        verificationRequired: needsVerification,
+        attachments: feedback.attachments ? feedback.attachments.length : 0,
+        trackingToken,
+        trackingUrl: buildTrackingUrl(trackingToken, `${req.protocol}://${req.get('host')}`)
       }
     });
 
     // Log feedback submission
-    console.log(`📝 New feedback received from ${feedback.name} (${feedback.email})`);
+    console.log(`📝 New feedback received from ${feedback.name} (${feedback.email})${attachments.length ? ` with ${attachments.length} attachment(s)` : ''}${spam.quarantined ? ` - quarantined, spam score ${spam.score}` : ''}`);
+
+    publishFeedbackEvent('feedback.created', feedback);
+
+    // Quarantined submissions are likely spam; keep them out of chat tools
+    // Feedback awaiting email verification is announced once it is verified
+    if (!spam.quarantined && !needsVerification) {
+      emitFeedbackEvent('feedback.created', feedback);
+    }
+
+    // Send the confirmation link after responding so slow mail does not delay the form
+    if (needsVerification) {
+      sendVerification(feedback, `${req.protocol}://${req.get('host')}`)
+        .catch(mailError => console.error('Error sending verification email:', mailError));
+    }
     
   } catch (error) {
+    if (error instanceof AttachmentError) return invalidAttachment(req, res, error);
+    if (error.name === 'ValidationError') return modelValidationError(req, res, error);
+
     console.error('Error submitting feedback:', error);
     res.status(500).json({
       success: false,
       error: 'Server Error',
-      message: 'Failed to submit feedback. Please try again later.'
+      message: req.t('Failed to submit feedback. Please try again later.')
+    });
+  }
+});
+
+// @route   POST /api/feedback/device
+// @desc    Submit a report from a device or the mobile app, with diagnostics
+// @access  Device key (X-Device-Key header)
+router.post('/device', describeRoute({
+  summary: 'Submit a report with device diagnostics',
+  body: deviceSubmissionValidation,
+  multipart: true,
+  status: 201
+}), authenticateDevice, deviceLimiter, handleAttachmentUpload, async (req, res) => {
+  try {
+    const { error, value } = deviceSubmissionValidation.validate(parseDeviceField(req.body), joiOptions(req.locale));
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: error.details[0].message,
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { deviceKey } = req;
+    const email = value.email || deviceKey.contactEmail;
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: req.t('email is required because this device key has no contact email')
+      });
+    }
+
+    const attachments = prepareAttachments(req.files);
+
+    // Device reports are bug reports, not testimonials: never public, no form-based spam checks
+    const { lang, ...report } = value;
+    const feedback = await saveSubmission(new Feedback({
+      ...report,
+      name: report.name || deviceKey.name,
+      email,
+      language: normalizeLanguage(lang) || detectLanguage(report.message) || req.locale,
+      source: 'device',
+      isPublic: false,
+      tags: deviceKey.tags,
+      device: { ...value.device, keyId: deviceKey._id },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    }), attachments);
+
+    const trackingToken = issueTrackingToken(feedback);
+
+    res.status(201).json({
+      success: true,
+      message: req.t('Report received'),
+      data: {
+        id: feedback._id,
+        submittedAt: feedback.createdAt,
+        status: feedback.status,
+        priority: feedback.priority,
+        tags: feedback.tags,
+        attachments: feedback.attachments ? feedback.attachments.length : 0,
+        trackingToken,
+        trackingUrl: buildTrackingUrl(trackingToken, `${req.protocol}://${req.get('host')}`)
+      }
+    });
+
+    const { device } = feedback;
+    console.log(`📟 Device report via "${deviceKey.name}" (device ${device.deviceId || '-'}, firmware ${device.firmwareVersion || '-'}, app ${device.appVersion || '-'})`);
+
+    publishFeedbackEvent('feedback.created', feedback);
+    emitFeedbackEvent('feedback.created', feedback);
+
+  } catch (error) {
+    if (error instanceof AttachmentError) return invalidAttachment(req, res, error);
+    if (error.name === 'ValidationError') return modelValidationError(req, res, error);
+
+    console.error('Error submitting device report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to submit report. Please try again later.')
+    });
+  }
+});
+
+// @route   GET /api/feedback/form-token
+// @desc    Issue a signed token for the feedback form (measures form-fill time)
+// @access  Public
+router.get('/form-token', describeRoute({
+  summary: 'Get a signed, single-use form token for spam protection'
+}), (req, res) => {
+  try {
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      data: {
+        token: issueFormToken(),
+        expiresIn: FORM_TOKEN_TTL
+      }
+    });
+  } catch (error) {
+    console.error('Error issuing form token:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to issue form token')
     });
   }
 });
 
 // @route   GET /api/feedback
 // @desc    Get all feedback with pagination
-// @access  Public (limited data) / Admin (full data)
-router.get('/', async (req, res) => {
+// @access  Public (limited data) / Admin viewer (full data)
+router.get('/', describeRoute({
+  summary: 'Get feedback (paginated, with search and filters)',
+  description: 'Public listing; admins (viewer) may set publicOnly=false',
+  query: listQueryValidation
+}), authenticateOptional, async (req, res) => {
   try {
-    const {
-      page = 1,
-      limit = 10,
-      status,
-      priority,
-      publicOnly = 'true'
-    } = req.query;
-
-    const pageNum = parseInt(page);
-    const limitNum = parseInt(limit);
-    const skip = (pageNum - 1) * limitNum;
+    const { error, value: params } = listQueryValidation.validate(req.query, joiOptions(req.locale));
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: error.details[0].message,
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    // Full records (including non-public feedback) are for admins only
+    if (!params.publicOnly && !(req.admin && req.admin.hasRole('viewer'))) {
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized',
+        message: req.t('Admin access required')
+      });
+    }
+
+    if (params.sort === 'relevance' && !params.q) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: req.t('Sorting by relevance requires a search query (q)')
+      });
+    }
 
     // Build query
-    let query = {};
-    
-    // If publicOnly is true, only show public feedback
-    if (publicOnly === 'true') {
-      query.isPublic = true;
-      query.status = { $ne: 'archived' };
+    const query = buildFeedbackFilter(params);
+    const sort = buildFeedbackSort(params);
+
+    if (params.cursor || params.paginate === 'cursor') {
+      // Cursor mode needs the sort field to build the next cursor;
+      // public listings drop it again before responding
+      const sortField = getSortField(sort);
+      const cursorQuery = Feedback.find(query).select(params.publicOnly ?
+        (isPublicField(sortField) ? PUBLIC_FIELDS : `${PUBLIC_FIELDS} ${sortField}`) :
+        '-ipAddress -userAgent'
+      );
+      applyCursor(cursorQuery, { sort, cursor: params.cursor, limit: params.limit });
+
+      const { items, pagination } = buildCursorPage(await cursorQuery, {
+        sort,
+        cursor: params.cursor,
+        limit: params.limit
+      });
+
+      const data = params.publicOnly
+        ? items.map(item => {
+          const json = item.toJSON();
+          if (!isPublicField(sortField)) delete json[sortField];
+          return json;
+        })
+        : items;
+
+      return res.json({
+        success: true,
+        data,
+        pagination
+      });
     }
-    
-    if (status) query.status = status;
-    if (priority) query.priority = priority;
+
+    const pageNum = params.page;
+    const limitNum = params.limit;
+    const skip = (pageNum - 1) * limitNum;
 
     // Get feedback with pagination
-    const feedbacks = await Feedback.find(query)
-      .sort({ createdAt: -1 })
+    const feedbacksQuery = Feedback.find(query)
+      .sort(sort)
       .skip(skip)
       .limit(limitNum)
-      .select(publicOnly === 'true' ? 
-        'name message createdAt formattedDate timeAgo tags priority -_id' : 
-        '-ipAddress -userAgent'
-      );
+      .select(params.publicOnly ? PUBLIC_FIELDS : '-ipAddress -userAgent');
+
+    // Include the relevance score when searching
+    if (params.q) {
+      feedbacksQuery.select({ score: { $meta: 'textScore' } });
+    }
+
+    const feedbacks = await feedbacksQuery;
 
     const total = await Feedback.countDocuments(query);
     const totalPages = Math.ceil(total / limitNum);
@@ -158,6 +738,7 @@ router.get('/', async (req, res) => {
       success: true,
       data: feedbacks,
       pagination: {
+        mode: 'page',
         currentPage: pageNum,
         totalPages,
         totalItems: total,
@@ -168,11 +749,19 @@ router.get('/', async (req, res) => {
     });
     
   } catch (error) {
+    if (error instanceof CursorError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid Cursor',
+        message: req.t(error.template, error.params)
+      });
+    }
+
     console.error('Error fetching feedback:', error);
     res.status(500).json({
       success: false,
       error: 'Server Error',
-      message: 'Failed to fetch feedback'
+      message: req.t('Failed to fetch feedback')
     });
   }
 });
@@ -180,11 +769,41 @@ router.get('/', async (req, res) => {
 // @route   GET /api/feedback/recent
 // @desc    Get recent public feedback for website display
 // @access  Public
-router.get('/recent', async (req, res) => {
+router.get('/recent', describeRoute({
+  summary: 'Get recent public feedback',
+  query: recentQueryValidation
+}), async (req, res) => {
   try {
-    const { limit = 5 } = req.query;
-    
-    const feedbacks = await Feedback.getPublicFeedback(parseInt(limit));
+    const { error, value } = recentQueryValidation.validate(req.query, joiOptions(req.locale));
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: error.details[0].message,
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    if (value.cursor || value.paginate === 'cursor') {
+      const sort = { createdAt: -1, _id: -1 };
+      const cursorQuery = Feedback.getPublicFeedback(value.limit);
+      applyCursor(cursorQuery, { sort, cursor: value.cursor, limit: value.limit });
+
+      const { items, pagination } = buildCursorPage(await cursorQuery, {
+        sort,
+        cursor: value.cursor,
+        limit: value.limit
+      });
+
+      return res.json({
+        success: true,
+        data: items,
+        count: items.length,
+        pagination
+      });
+    }
+
+    const feedbacks = await Feedback.getPublicFeedback(value.limit);
     
     res.json({
       success: true,
@@ -193,11 +812,19 @@ router.get('/recent', async (req, res) => {
     });
     
   } catch (error) {
+    if (error instanceof CursorError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid Cursor',
+        message: req.t(error.template, error.params)
+      });
+    }
+
     console.error('Error fetching recent feedback:', error);
     res.status(500).json({
       success: false,
       error: 'Server Error',
-      message: 'Failed to fetch recent feedback'
+      message: req.t('Failed to fetch recent feedback')
     });
   }
 });
@@ -205,14 +832,18 @@ router.get('/recent', async (req, res) => {
 // @route   GET /api/feedback/stats
 // @desc    Get feedback statistics
 // @access  Public (basic stats)
-router.get('/stats', async (req, res) => {
+router.get('/stats', describeRoute({ summary: 'Get feedback statistics' }), async (req, res) => {
   try {
-    const stats = await Feedback.getStats();
+    const [stats, votes] = await Promise.all([
+      Feedback.getStats(),
+      getVoteVelocity()
+    ]);
     
     res.json({
       success: true,
       data: {
         ...stats,
+        votes,
         lastUpdated: new Date().toISOString()
       }
     });
@@ -222,146 +853,1347 @@ router.get('/stats', async (req, res) => {
     res.status(500).json({
       success: false,
       error: 'Server Error',
-      message: 'Failed to fetch feedback statistics'
+      message: req.t('Failed to fetch feedback statistics')
     });
   }
 });
 
-// @route   POST /api/feedback/migrate-ratings
-// @desc    Migration endpoint to add ratings to existing feedback
-// @access  Admin only (one-time use)
-router.post('/migrate-ratings', async (req, res) => {
+// @route   GET /api/feedback/export
+// @desc    Stream feedback matching the list filters as CSV, JSON or NDJSON
+// @access  Admin viewer (sensitive columns: admin)
+router.get('/export', describeRoute({
+  summary: 'Export feedback as CSV, JSON or NDJSON',
+  query: exportQueryValidation,
+  produces: ['text/csv', 'application/json', 'application/x-ndjson']
+}), requireRole('viewer'), async (req, res) => {
+  let cursor;
   try {
-    const { adminKey } = req.headers;
-    
-    // Simple admin key check
-    if (adminKey !== process.env.ADMIN_KEY) {
-      return res.status(401).json({
+    const { error, value: params } = exportQueryValidation.validate(req.query, joiOptions(req.locale));
+    if (error) {
+      return res.status(400).json({
         success: false,
-        error: 'Unauthorized',
-        message: 'Admin access required'
+        error: 'Validation Error',
+        message: error.details[0].message,
+        details: error.details.map(detail => detail.message)
       });
     }
-    
-    // Find all feedback without rating field
-    const feedbackWithoutRating = await Feedback.countDocuments({ 
-      rating: { $exists: false } 
-    });
-    
-    if (feedbackWithoutRating > 0) {
-      // Update all feedback without rating to have default rating of 5
-      const result = await Feedback.updateMany(
-        { rating: { $exists: false } },
-        { $set: { rating: 5 } }
-      );
-      
-      // Get updated stats
-      const stats = await Feedback.getStats();
-      
-      res.json({
-        success: true,
-        message: `Successfully updated ${result.modifiedCount} feedback entries with default rating`,
-        data: {
-          updated: result.modifiedCount,
-          stats
-        }
+
+    if (params.sort === 'relevance' && !params.q) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: req.t('Sorting by relevance requires a search query (q)')
       });
-    } else {
-      // Get current stats
-      const stats = await Feedback.getStats();
-      
-      res.json({
-        success: true,
-        message: 'All feedback already has ratings',
-        data: {
-          updated: 0,
-          stats
-        }
+    }
+
+    const columns = params.columns || (params.includeSensitive
+      ? [...EXPORT_COLUMNS, ...SENSITIVE_COLUMNS]
+      : EXPORT_COLUMNS);
+    const wantsSensitive = columns.some(column => SENSITIVE_COLUMNS.includes(column));
+
+    if (wantsSensitive && !params.includeSensitive) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: req.t('Set includeSensitive=true to export ipAddress or userAgent')
       });
     }
-    
+
+    if (params.includeSensitive && !req.admin.hasRole('admin')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Forbidden',
+        message: req.t('Exporting ipAddress or userAgent requires the admin role')
+      });
+    }
+
+    const projection = columns.map(column => (column === 'id' ? '_id' : column)).join(' ');
+    const exportQuery = Feedback.find(buildFeedbackFilter(params))
+      .sort(buildFeedbackSort(params))
+      .select(projection)
+      .lean();
+    if (params.q) {
+      exportQuery.select({ score: { $meta: 'textScore' } });
+    }
+    cursor = exportQuery.cursor();
+
+    // Stop reading from MongoDB if the client goes away
+    res.on('close', () => cursor.close().catch(() => {}));
+
+    const { contentType, extension } = FORMATS[params.format];
+    const fileName = `feedback-export-${new Date().toISOString().slice(0, 10)}.${extension}`;
+    res.status(200);
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${fileName}"`,
+      'Cache-Control': 'no-store'
+    });
+
+    const count = await writeExport(res, cursor, { format: params.format, columns });
+    res.end();
+
+    const { format, includeSensitive, columns: requestedColumns, ...filters } = params;
+    await recordAudit(req, {
+      action: 'feedback.export',
+      target: { type: 'feedback' },
+      meta: { format, columns, count, includeSensitive: wantsSensitive, filters }
+    });
+
+    console.log(`📤 ${req.admin.email} exported ${count} feedback entries as ${params.format}${wantsSensitive ? ' (with sensitive fields)' : ''}`);
+
   } catch (error) {
-    console.error('Error migrating ratings:', error);
+    console.error('Error exporting feedback:', error);
+    if (cursor) cursor.close().catch(() => {});
+
+    // Once streaming has started the status line is gone; abort the response
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
     res.status(500).json({
       success: false,
       error: 'Server Error',
-      message: 'Failed to migrate ratings'
+      message: req.t('Failed to export feedback')
     });
   }
 });
 
-// @route   GET /api/feedback/:id
-// @desc    Get specific feedback by ID
+// @route   POST /api/feedback/import
+// @desc    Import historical feedback from a CSV (text/csv) or JSON array body
+// @access  Admin
+router.post('/import',
+  describeRoute({
+    summary: 'Import historical feedback from CSV or JSON',
+    query: importQueryValidation,
+    consumes: ['text/csv', 'application/json']
+  }),
+  requireRole('admin'),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }),
+  async (req, res) => {
+    try {
+      const { error, value } = importQueryValidation.validate(req.query, joiOptions(req.locale));
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error: 'Validation Error',
+          message: error.details[0].message,
+          details: error.details.map(detail => detail.message)
+        });
+      }
+
+      const format = value.format || (req.is('json') ? 'json' : 'csv');
+      const records = parseImport(req.body, format);
+      const report = await importFeedback(records, { dryRun: value.dryRun, source: value.source });
+
+      res.status(value.dryRun || report.imported === 0 ? 200 : 201).json({
+        success: true,
+        message: value.dryRun
+          ? req.t('Dry run: {{imported}} valid, {{skipped}} already imported, {{failed}} invalid', report)
+          : req.t('Imported {{imported}} of {{total}} rows ({{skipped}} skipped, {{failed}} failed)', report),
+        data: report
+      });
+
+      if (!value.dryRun) {
+        console.log(`📥 ${req.admin.email} imported ${report.imported} feedback entries from ${value.source}`);
+        await recordAudit(req, {
+          action: 'feedback.import',
+          target: { type: 'feedback' },
+          meta: {
+            source: value.source,
+            format,
+            total: report.total,
+            imported: report.imported,
+            skipped: report.skipped,
+            failed: report.failed
+          }
+        });
+      }
+
+    } catch (error) {
+      if (error instanceof ImportFormatError) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid Import',
+          message: req.t(error.template, error.params)
+        });
+      }
+
+      console.error('Error importing feedback:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Server Error',
+        message: req.t('Failed to import feedback')
+      });
+    }
+  }
+);
+
+// @route   GET /api/feedback/analytics
+// @desc    Submission volume, ratings, tags, priorities and response times over a date range
+// @access  Admin viewer
+router.get('/analytics', describeRoute({
+  summary: 'Time-series analytics over a date range',
+  query: analyticsQueryValidation
+}), requireRole('viewer'), async (req, res) => {
+  try {
+    const { error, value } = analyticsQueryValidation.validate(req.query, joiOptions(req.locale));
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: error.details[0].message,
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const to = value.to || new Date();
+    const from = value.from || new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    const bucketDays = { day: 1, week: 7, month: 28 }[value.interval];
+    const buckets = (to - from) / (bucketDays * 24 * 60 * 60 * 1000);
+    if (buckets > ANALYTICS_MAX_BUCKETS) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: req.t('Range too large for {{interval}} buckets. Use a larger interval or a shorter range.', {
+          interval: value.interval
+        })
+      });
+    }
+
+    const analytics = await Feedback.getAnalytics({ from, to, interval: value.interval });
+
+    res.json({
+      success: true,
+      data: {
+        ...analytics,
+        generatedAt: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching feedback analytics:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to fetch feedback analytics')
+    });
+  }
+});
+
+// @route   GET /api/feedback/analytics/devices
+// @desc    Device reports by firmware version, app version or platform over a date range
+// @access  Admin viewer
+router.get('/analytics/devices', describeRoute({
+  summary: 'Device reports by firmware/app version or platform',
+  query: deviceAnalyticsQueryValidation
+}), requireRole('viewer'), async (req, res) => {
+  try {
+    const { error, value } = deviceAnalyticsQueryValidation.validate(req.query, joiOptions(req.locale));
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: error.details[0].message,
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const to = value.to || new Date();
+    const from = value.from || new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+    const bucketDays = { day: 1, week: 7, month: 28 }[value.interval];
+    const buckets = (to - from) / (bucketDays * 24 * 60 * 60 * 1000);
+    if (buckets > ANALYTICS_MAX_BUCKETS) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: req.t('Range too large for {{interval}} buckets. Use a larger interval or a shorter range.', {
+          interval: value.interval
+        })
+      });
+    }
+
+    const analytics = await Feedback.getDeviceAnalytics({ ...value, from, to });
+
+    res.json({
+      success: true,
+      data: {
+        ...analytics,
+        generatedAt: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching device analytics:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to fetch device analytics')
+    });
+  }
+});
+
+// @route   GET /api/feedback/trash
+// @desc    Deleted feedback awaiting restore or purge (most recently deleted first)
+// @access  Admin
+router.get('/trash', describeRoute({
+  summary: 'List feedback in the trash',
+  query: trashQueryValidation
+}), requireRole('admin'), async (req, res) => {
+  try {
+    const { error, value } = trashQueryValidation.validate(req.query, joiOptions(req.locale));
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: error.details[0].message,
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const query = { deletedAt: { $ne: null } };
+    const [feedbacks, total] = await Promise.all([
+      Feedback.find(query)
+        .sort({ deletedAt: -1, _id: -1 })
+        .skip((value.page - 1) * value.limit)
+        .limit(value.limit)
+        .select('-ipAddress -userAgent'),
+      Feedback.countDocuments(query)
+    ]);
+    const totalPages = Math.ceil(total / value.limit);
+    const retentionDays = getTrashRetentionDays();
+
+    res.json({
+      success: true,
+      data: feedbacks,
+      pagination: {
+        currentPage: value.page,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: value.limit,
+        hasNextPage: value.page < totalPages,
+        hasPrevPage: value.page > 1
+      },
+      // Items are purged automatically this many days after deletion (0 = never)
+      retentionDays
+    });
+
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to fetch deleted feedback')
+    });
+  }
+});
+
+// @route   POST /api/feedback/live/ticket
+// @desc    Short-lived ticket for opening the live feed with EventSource (?ticket=)
+// @access  Admin viewer
+router.post('/live/ticket', describeRoute({
+  summary: 'Short-lived ticket for opening the live stream'
+}), requireRole('viewer'), (req, res) => {
+  try {
+    const ticket = signToken(
+      { sub: req.admin._id.toString(), ver: req.admin.tokenVersion },
+      { purpose: 'live-feed', expiresIn: LIVE_TICKET_TTL }
+    );
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      data: {
+        ticket,
+        expiresIn: LIVE_TICKET_TTL
+      }
+    });
+  } catch (error) {
+    console.error('Error issuing live feed ticket:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to issue live feed ticket')
+    });
+  }
+});
+
+// @route   GET /api/feedback/live
+// @desc    Server-Sent Events stream of feedback.created/updated/deleted
+// @access  Admin viewer (bearer token or ?ticket=)
+router.get('/live', describeRoute({
+  summary: 'Server-Sent Events stream of feedback changes',
+  query: liveQueryValidation,
+  produces: ['text/event-stream']
+}), requireRoleOrTicket('viewer', 'live-feed'), (req, res) => {
+  const { error, value: filters } = liveQueryValidation.validate(req.query, joiOptions(req.locale));
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: error.details[0].message,
+      details: error.details.map(detail => detail.message)
+    });
+  }
+
+  if (getSubscriberCount() >= LIVE_MAX_CLIENTS) {
+    return res.status(503).json({
+      success: false,
+      error: 'Service Unavailable',
+      message: req.t('Too many live feed connections. Please try again later.')
+    });
+  }
+
+  // no-transform keeps the compression middleware from buffering the stream
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+  };
+  const sendControl = (type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  res.write('retry: 5000\n\n');
+
+  // Resume after a reconnect; "reset" tells the client to reload its list
+  const lastEventId = req.get('Last-Event-ID') || filters.lastEventId;
+  if (lastEventId) {
+    const missed = eventsSince(lastEventId);
+    if (missed === null) {
+      sendControl('reset', { reason: 'Events since the last received id are no longer available' });
+    } else {
+      missed.filter(event => matchesFilters(event, filters)).forEach(send);
+    }
+  }
+
+  const { status, priority, tags, tagMode } = filters;
+  sendControl('ready', { filters: { status, priority, tags, tagMode }, heartbeatMs: LIVE_HEARTBEAT_MS });
+
+  const unsubscribe = subscribe(event => {
+    if (matchesFilters(event, filters)) send(event);
+  });
+  const heartbeat = setInterval(() => {
+    res.write(': heartbeat\n\n');
+  }, LIVE_HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// Thread as shown to the submitter
+const trackingView = (feedback) => ({
+  id: feedback._id,
+  status: feedback.status,
+  submittedAt: feedback.createdAt,
+  rating: feedback.rating,
+  messages: feedback.getConversation(),
+  canReply: feedback.status !== 'archived' && feedback.thread.length < MAX_THREAD_MESSAGES
+});
+
+const invalidTrackingLink = (req, res) => res.status(404).json({
+  success: false,
+  error: 'Not Found',
+  message: req.t('This tracking link is invalid or has expired')
+});
+
+// @route   GET /api/feedback/track/:token
+// @desc    Status and conversation of a submission
+// @access  Public (private tracking token)
+router.get('/track/:token', describeRoute({
+  summary: 'Status and conversation for the submitter'
+}), async (req, res) => {
+  try {
+    const feedback = await findByTrackingToken(req.params.token);
+    if (!feedback) return invalidTrackingLink(req, res);
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      data: trackingView(feedback)
+    });
+
+  } catch (error) {
+    console.error('Error fetching tracked feedback:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to fetch feedback')
+    });
+  }
+});
+
+// @route   POST /api/feedback/track/:token/messages
+// @desc    Post a follow-up message to the thread (reopens the feedback)
+// @access  Public (private tracking token)
+router.post('/track/:token/messages', describeRoute({
+  summary: 'Submitter follow-up message',
+  body: threadMessageValidation,
+  status: 201
+}), feedbackLimiter, async (req, res) => {
+  try {
+    const { error, value } = threadMessageValidation.validate(req.body, joiOptions(req.locale));
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: error.details[0].message,
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const feedback = await findByTrackingToken(req.params.token);
+    if (!feedback) return invalidTrackingLink(req, res);
+
+    if (feedback.status === 'archived') {
+      return res.status(409).json({
+        success: false,
+        error: 'Conversation Closed',
+        message: req.t('This conversation has been closed')
+      });
+    }
+
+    if (feedback.thread.length >= MAX_THREAD_MESSAGES) {
+      return res.status(409).json({
+        success: false,
+        error: 'Conversation Full',
+        message: req.t('This conversation has reached its message limit. Please submit new feedback instead.')
+      });
+    }
+
+    feedback.addThreadMessage({
+      authorType: 'submitter',
+      authorName: feedback.name,
+      body: value.message
+    });
+    // A follow-up needs attention again
+    feedback.status = 'new';
+    await feedback.save();
+
+    publishFeedbackEvent('feedback.updated', feedback);
+    console.log(`💬 Follow-up received on feedback ${feedback._id}`);
+
+    res.status(201).json({
+      success: true,
+      message: req.t('Thank you! Your message has been added to the conversation.'),
+      data: trackingView(feedback)
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') return modelValidationError(req, res, error);
+
+    console.error('Error adding follow-up message:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to add message')
+    });
+  }
+});
+
+// Cast (1 / -1) or withdraw (0) the visitor's vote
+const VOTE_DOC = {
+  description: 'The voter token can also be sent in the X-Voter-Token header',
+  body: voteValidation
+};
+
+const vote = (value) => async (req, res) => {
+  try {
+    const { error, value: params } = voteValidation.validate({
+      ...(req.body || {}),
+      voterToken: req.get('X-Voter-Token') || (req.body || {}).voterToken
+    }, joiOptions(req.locale));
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: error.details[0].message,
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const identity = resolveVoter(params);
+    const result = value === 0
+      ? await retractVote(req.params.id, identity)
+      : await castVote(req.params.id, identity, value);
+
+    res.json({
+      success: true,
+      message: result.changed
+        ? req.t(value === 0 ? 'Vote withdrawn' : 'Thank you for voting!')
+        : req.t('Nothing changed'),
+      data: {
+        id: req.params.id,
+        votes: result.votes,
+        yourVote: result.yourVote
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof VoteError) {
+      return res.status(error.status).json({
+        success: false,
+        error: { 401: 'Unauthorized', 404: 'Not Found' }[error.status] || 'Invalid Vote',
+        message: req.t(error.message)
+      });
+    }
+
+    console.error('Error recording vote:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to record vote')
+    });
+  }
+};
+
+// @route   POST /api/feedback/:id/upvote
+// @desc    Upvote a public feature request (once per visitor; switches a downvote)
+// @access  Public
+router.post('/:id/upvote', describeRoute({
+  summary: 'Upvote a feature request',
+  ...VOTE_DOC
+}), voteLimiter, vote(1));
+
+// @route   POST /api/feedback/:id/downvote
+// @desc    Downvote a public feature request (once per visitor; switches an upvote)
+// @access  Public
+router.post('/:id/downvote', describeRoute({
+  summary: 'Downvote a feature request',
+  ...VOTE_DOC
+}), voteLimiter, vote(-1));
+
+// @route   DELETE /api/feedback/:id/vote
+// @desc    Withdraw the visitor's vote
+// @access  Public
+router.delete('/:id/vote', describeRoute({
+  summary: 'Withdraw a vote',
+  ...VOTE_DOC
+}), voteLimiter, vote(0));
+
+// @route   POST /api/feedback/voters
+// @desc    Email a link that confirms the address for voting
+// @access  Public
+router.post('/voters', describeRoute({
+  summary: 'Email a link to confirm an address for voting',
+  body: voterLinkValidation,
+  status: 202
+}), voterLinkLimiter, async (req, res) => {
+  try {
+    const { error, value } = voterLinkValidation.validate(req.body, joiOptions(req.locale));
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: error.details[0].message,
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    await sendVoterLink(value.email, `${req.protocol}://${req.get('host')}`);
+
+    res.status(202).json({
+      success: true,
+      message: req.t('Check your email for a link to confirm your address.')
+    });
+
+  } catch (error) {
+    console.error('Error sending voter confirmation:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to send confirmation email')
+    });
+  }
+});
+
+// @route   GET /api/feedback/voters/confirm
+// @desc    Confirm a voter's email from the emailed link and issue a voter token
+// @access  Public
+router.get('/voters/confirm', describeRoute({
+  summary: 'Confirm a voter email and receive a voter token',
+  query: tokenQueryValidation
+}), (req, res) => {
+  const { error, value } = tokenQueryValidation.validate(req.query, joiOptions(req.locale));
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error: 'Validation Error',
+      message: error.details[0].message,
+      details: error.details.map(detail => detail.message)
+    });
+  }
+
+  const issued = exchangeVoterLink(value.token);
+  const redirectUrl = process.env.VOTING_REDIRECT_URL;
+
+  if (!issued) {
+    if (redirectUrl) return res.redirect(`${redirectUrl}?confirmed=false`);
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid Token',
+      message: req.t('This confirmation link is invalid or has expired')
+    });
+  }
+
+  // The token goes in the fragment so it is not sent to the frontend's server or logs
+  if (redirectUrl) {
+    return res.redirect(`${redirectUrl}?confirmed=true#voterToken=${encodeURIComponent(issued.voterToken)}`);
+  }
+  res.json({
+    success: true,
+    message: req.t('Email confirmed. Send the voter token with your votes.'),
+    data: issued
+  });
+});
+
+// @route   GET /api/feedback/verify
+// @desc    Confirm a submission from the emailed verification link
+// @access  Public (signed token)
+router.get('/verify', describeRoute({
+  summary: 'Confirm a submission from the emailed link',
+  query: tokenQueryValidation
+}), async (req, res) => {
+  try {
+    const { error, value } = tokenQueryValidation.validate(req.query, joiOptions(req.locale));
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: error.details[0].message,
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const feedback = await confirmVerification(value.token);
+    const redirectUrl = process.env.VERIFICATION_REDIRECT_URL;
+
+    if (!feedback) {
+      if (redirectUrl) return res.redirect(`${redirectUrl}?verified=false`);
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid Token',
+        message: req.t('This verification link is invalid or has expired')
+      });
+    }
+
+    console.log(`✅ Feedback ${feedback._id} verified by ${feedback.email}`);
+    publishFeedbackEvent('feedback.updated', feedback);
+
+    if (redirectUrl) return res.redirect(`${redirectUrl}?verified=true`);
+    res.json({
+      success: true,
+      message: req.t('Thank you! Your feedback has been confirmed.'),
+      data: {
+        id: feedback._id,
+        verifiedAt: feedback.verification.verifiedAt
+      }
+    });
+
+  } catch (error) {
+    console.error('Error verifying feedback:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to verify feedback')
+    });
+  }
+});
+
+// @route   GET /api/feedback/:id
+// @desc    Get specific feedback by ID
 // @access  Public (limited) / Admin (full)
-router.get('/:id', async (req, res) => {
+router.get('/:id', describeRoute({
+  summary: 'Get specific feedback',
+  description: 'Public, approved feedback only; admins (viewer) get any item with its attachments'
+}), authenticateOptional, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const isAdmin = Boolean(req.admin && req.admin.hasRole('viewer'));
+    
+    // Visitors only see public, approved (and verified) feedback that is not
+    // archived, and only its public fields: the conversation with the submitter,
+    // moderation, spam and verification details stay with the admins
+    const feedback = isAdmin
+      ? await Feedback.findById(id).select('-ipAddress -userAgent')
+      : await Feedback.findOne({ _id: id, ...Feedback.publicFilter() }).select(PUBLIC_FIELDS);
+    
+    if (!feedback) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: req.t('Feedback not found')
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: feedback
+    });
+    
+  } catch (error) {
+    console.error('Error fetching feedback:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to fetch feedback')
+    });
+  }
+});
+
+// @route   GET /api/feedback/:id/thread
+// @desc    Full conversation of a feedback item
+// @access  Admin viewer
+router.get('/:id/thread', describeRoute({
+  summary: 'Full conversation of a feedback item'
+}), requireRole('viewer'), async (req, res) => {
+  try {
+    const feedback = await Feedback.findById(req.params.id).select('-ipAddress -userAgent');
+
+    if (!feedback) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: req.t('Feedback not found')
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        id: feedback._id,
+        status: feedback.status,
+        email: feedback.email,
+        messages: feedback.getConversation()
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching feedback thread:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to fetch conversation')
+    });
+  }
+});
+
+// @route   GET /api/feedback/:id/attachments/:attachmentId
+// @desc    Download a screenshot or log file sent with the feedback
+// @access  Admin viewer
+router.get('/:id/attachments/:attachmentId', describeRoute({
+  summary: 'Download a feedback attachment',
+  produces: ['application/octet-stream']
+}), requireRole('viewer'), async (req, res) => {
+  try {
+    const feedback = await Feedback.findById(req.params.id).select('attachments');
+    const attachment = feedback && feedback.attachments && feedback.attachments.id(req.params.attachmentId);
+
+    if (!attachment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: req.t('Attachment not found')
+      });
+    }
+
+    const data = await readAttachment(attachment);
+    if (!data) {
+      return res.status(410).json({
+        success: false,
+        error: 'Gone',
+        message: req.t('The attachment file is no longer in storage')
+      });
+    }
+
+    // Always a download, never rendered inline by the browser
+    res.set({
+      'Content-Type': attachment.contentType,
+      'Content-Length': data.length,
+      'Content-Disposition': `attachment; filename="${attachment.fileName.replace(/[^\x20-\x7e]/g, '_')}"; ` +
+        `filename*=UTF-8''${encodeURIComponent(attachment.fileName)}`,
+      'Cache-Control': 'private, no-store',
+      'X-Content-Type-Options': 'nosniff'
+    });
+    res.send(data);
+
+    await recordAudit(req, {
+      action: 'feedback.attachment-download',
+      target: { type: 'feedback', id: feedback._id },
+      meta: { attachmentId: attachment._id, fileName: attachment.fileName, size: attachment.size }
+    });
+
+  } catch (error) {
+    console.error('Error downloading attachment:', error);
+    if (res.headersSent) return;
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to download attachment')
+    });
+  }
+});
+
+// @route   PATCH /api/feedback/bulk
+// @desc    Update status, priority, tags or visibility of many feedback items
+// @access  Moderator
+router.patch('/bulk', describeRoute({
+  summary: 'Bulk update feedback by ids or filter',
+  body: bulkTriageValidation
+}), requireRole('moderator'), async (req, res) => {
+  try {
+    const { error, value } = bulkTriageValidation.validate(req.body, joiOptions(req.locale));
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: error.details[0].message,
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const { ids, filter, update } = value;
+    const conflict = findTagConflict(update.tags);
+    if (conflict) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: req.t('Tag "{{tag}}" cannot be added and removed at the same time', { tag: conflict })
+      });
+    }
+
+    // Resolve the target set once so both update passes hit the same documents
+    let query;
+    if (ids) {
+      query = { _id: { $in: ids } };
+    } else {
+      query = { ...filter };
+      if (filter.tag) {
+        delete query.tag;
+        query.tags = filter.tag;
+      }
+    }
+
+    const targets = await Feedback.find(query)
+      .select(['_id', ...TRIAGE_FIELDS].join(' '))
+      .limit(501)
+      .lean();
+    const targetIds = targets.map(target => target._id);
+    if (targetIds.length > 500) {
+      return res.status(400).json({
+        success: false,
+        error: 'Too Many Items',
+        message: req.t('Bulk updates are limited to 500 feedback items. Narrow the filter and try again.')
+      });
+    }
+
+    const targetQuery = { _id: { $in: targetIds } };
+    const set = {};
+    if (update.status) set.status = update.status;
+    if (update.priority) set.priority = update.priority;
+    if (update.isPublic !== undefined) set.isPublic = update.isPublic;
+
+    // MongoDB cannot $addToSet and $pull the same field in one update
+    let modified = 0;
+    const firstPass = {};
+    if (Object.keys(set).length > 0) firstPass.$set = set;
+    if (update.tags && update.tags.add.length > 0) {
+      firstPass.$addToSet = { tags: { $each: update.tags.add } };
+    }
+    if (Object.keys(firstPass).length > 0) {
+      const result = await Feedback.updateMany(targetQuery, firstPass, { runValidators: true });
+      modified = result.modifiedCount;
+    }
+    if (update.tags && update.tags.remove.length > 0) {
+      const result = await Feedback.updateMany(targetQuery, {
+        $pull: { tags: { $in: update.tags.remove } }
+      });
+      modified = Math.max(modified, result.modifiedCount);
+    }
+
+    const feedbacks = await Feedback.find(targetQuery)
+      .sort({ createdAt: -1 })
+      .select('-ipAddress -userAgent');
+
+    feedbacks.forEach(feedback => publishFeedbackEvent('feedback.updated', feedback));
+
+    if (update.status) {
+      const previous = new Map(targets.map(target => [String(target._id), target.status]));
+      feedbacks
+        .filter(feedback => previous.get(String(feedback._id)) !== feedback.status)
+        .forEach(feedback => emitFeedbackEvent('feedback.status-changed', feedback, {
+          previousStatus: previous.get(String(feedback._id))
+        }));
+    }
+
+    await recordAudit(req, {
+      action: 'feedback.bulk-update',
+      target: { type: 'feedback' },
+      changes: Object.entries(update).map(([field, after]) => ({ field, before: null, after })),
+      meta: {
+        selector: ids ? { ids } : { filter },
+        matched: targetIds.length,
+        modified,
+        before: targets.map(target => ({ id: target._id, ...snapshot(target, TRIAGE_FIELDS) }))
+      }
+    });
+
+    res.json({
+      success: true,
+      message: req.t('Updated {{modified}} of {{matched}} feedback entries', { modified, matched: targetIds.length }),
+      data: feedbacks,
+      matched: targetIds.length,
+      modified
+    });
+
+  } catch (error) {
+    console.error('Error bulk updating feedback:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to update feedback')
+    });
+  }
+});
+
+// @route   PATCH /api/feedback/:id
+// @desc    Update status, priority, tags or visibility of a feedback item
+// @access  Moderator
+router.patch('/:id', describeRoute({
+  summary: 'Update status, priority, tags or visibility',
+  body: triageUpdate
+}), requireRole('moderator'), async (req, res) => {
   try {
     const { id } = req.params;
-    
-    const feedback = await Feedback.findById(id)
-      .select('-ipAddress -userAgent'); // Hide sensitive data
-    
+
+    const { error, value } = triageUpdate.validate(req.body, joiOptions(req.locale));
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: error.details[0].message,
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const conflict = findTagConflict(value.tags);
+    if (conflict) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: req.t('Tag "{{tag}}" cannot be added and removed at the same time', { tag: conflict })
+      });
+    }
+
+    const feedback = await Feedback.findById(id).select('-ipAddress -userAgent');
+
     if (!feedback) {
       return res.status(404).json({
         success: false,
         error: 'Not Found',
-        message: 'Feedback not found'
+        message: req.t('Feedback not found')
       });
     }
-    
-    // Only show public feedback or if it's not archived
-    if (!feedback.isPublic || feedback.status === 'archived') {
+
+    const before = snapshot(feedback, TRIAGE_FIELDS);
+
+    if (value.status) feedback.status = value.status;
+    if (value.priority) feedback.priority = value.priority;
+    if (value.isPublic !== undefined) feedback.isPublic = value.isPublic;
+    if (value.tags) {
+      const tags = feedback.tags.filter(tag => !value.tags.remove.includes(tag));
+      feedback.tags = [...new Set([...tags, ...value.tags.add])];
+    }
+
+    await feedback.save();
+
+    await recordAudit(req, {
+      action: 'feedback.update',
+      target: { type: 'feedback', id: feedback._id },
+      changes: diffSnapshots(before, snapshot(feedback, TRIAGE_FIELDS))
+    });
+
+    publishFeedbackEvent('feedback.updated', feedback);
+    if (before.status !== feedback.status) {
+      emitFeedbackEvent('feedback.status-changed', feedback, { previousStatus: before.status });
+    }
+
+    res.json({
+      success: true,
+      message: req.t('Feedback updated successfully'),
+      data: feedback
+    });
+
+  } catch (error) {
+    console.error('Error updating feedback:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to update feedback')
+    });
+  }
+});
+
+// @route   POST /api/feedback/:id/reply
+// @desc    Reply to the submitter and mark the feedback as responded
+// @access  Moderator
+router.post('/:id/reply', describeRoute({
+  summary: 'Reply to the submitter by email',
+  body: replyValidation,
+  status: 201
+}), requireRole('moderator'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { error, value } = replyValidation.validate(req.body, joiOptions(req.locale));
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation Error',
+        message: error.details[0].message,
+        details: error.details.map(detail => detail.message)
+      });
+    }
+
+    const feedback = await Feedback.findById(id).select('-ipAddress -userAgent');
+
+    if (!feedback) {
       return res.status(404).json({
         success: false,
         error: 'Not Found',
-        message: 'Feedback not found'
+        message: req.t('Feedback not found')
       });
     }
-    
+
+    const replyFields = ['status', 'response.message', 'response.respondedBy'];
+    const before = snapshot(feedback, replyFields);
+
+    await replyToFeedback(feedback, {
+      message: value.message,
+      respondedBy: value.respondedBy || req.admin.name
+    }, `${req.protocol}://${req.get('host')}`);
+    const delivered = feedback.response.delivery.status === 'sent';
+
+    await recordAudit(req, {
+      action: 'feedback.reply',
+      target: { type: 'feedback', id: feedback._id },
+      changes: diffSnapshots(before, snapshot(feedback, replyFields)),
+      meta: { deliveryStatus: feedback.response.delivery.status }
+    });
+
+    publishFeedbackEvent('feedback.updated', feedback);
+    emitFeedbackEvent('feedback.responded', feedback);
+    if (before.status !== feedback.status) {
+      emitFeedbackEvent('feedback.status-changed', feedback, { previousStatus: before.status });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: delivered
+        ? req.t('Response saved and emailed to {{email}}', { email: feedback.email })
+        : req.t('Response saved, but the email could not be delivered. Use the resend endpoint to try again.'),
+      data: feedback
+    });
+
+  } catch (error) {
+    console.error('Error replying to feedback:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to save response')
+    });
+  }
+});
+
+// @route   POST /api/feedback/:id/reply/resend
+// @desc    Resend the stored response email (e.g. after a delivery failure)
+// @access  Moderator
+router.post('/:id/reply/resend', describeRoute({
+  summary: 'Resend the reply email'
+}), requireRole('moderator'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const feedback = await Feedback.findById(id).select('-ipAddress -userAgent');
+
+    if (!feedback) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: req.t('Feedback not found')
+      });
+    }
+
+    if (!feedback.response || !feedback.response.message) {
+      return res.status(409).json({
+        success: false,
+        error: 'No Response',
+        message: req.t('This feedback has not been responded to yet')
+      });
+    }
+
+    await deliverResponse(feedback, `${req.protocol}://${req.get('host')}`);
+    const delivered = feedback.response.delivery.status === 'sent';
+
+    await recordAudit(req, {
+      action: 'feedback.reply-resend',
+      target: { type: 'feedback', id: feedback._id },
+      meta: { deliveryStatus: feedback.response.delivery.status }
+    });
+    publishFeedbackEvent('feedback.updated', feedback);
+
+    res.status(delivered ? 200 : 502).json({
+      success: delivered,
+      message: delivered
+        ? req.t('Response emailed to {{email}}', { email: feedback.email })
+        : req.t('Email delivery failed: {{error}}', { error: feedback.response.delivery.error }),
+      data: feedback
+    });
+
+  } catch (error) {
+    console.error('Error resending response:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to resend response')
+    });
+  }
+});
+
+// @route   POST /api/feedback/:id/restore
+// @desc    Take feedback out of the trash
+// @access  Admin
+router.post('/:id/restore', describeRoute({
+  summary: 'Restore feedback from the trash'
+}), requireRole('admin'), async (req, res) => {
+  try {
+    const feedback = await Feedback.findOne({ _id: req.params.id, deletedAt: { $ne: null } })
+      .select('-ipAddress -userAgent');
+
+    if (!feedback) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: req.t('Feedback not found in the trash')
+      });
+    }
+
+    const before = snapshot(feedback, ['deletedAt', 'deletedBy']);
+    await feedback.restoreFromTrash();
+    // To a live dashboard a restored item is a new arrival
+    publishFeedbackEvent('feedback.created', feedback, { restored: true });
+
+    await recordAudit(req, {
+      action: 'feedback.restore',
+      target: { type: 'feedback', id: feedback._id },
+      changes: diffSnapshots(before, snapshot(feedback, ['deletedAt', 'deletedBy']))
+    });
+
     res.json({
       success: true,
+      message: req.t('Feedback restored successfully'),
       data: feedback
     });
-    
+
   } catch (error) {
-    console.error('Error fetching feedback:', error);
+    console.error('Error restoring feedback:', error);
     res.status(500).json({
       success: false,
       error: 'Server Error',
-      message: 'Failed to fetch feedback'
+      message: req.t('Failed to restore feedback')
     });
   }
 });
 
-// @route   DELETE /api/feedback/:id
-// @desc    Delete feedback (Admin only - simplified version)
+// @route   DELETE /api/feedback/:id/permanent
+// @desc    Permanently delete feedback that is already in the trash
 // @access  Admin
-router.delete('/:id', async (req, res) => {
+router.delete('/:id/permanent', describeRoute({
+  summary: 'Permanently delete trashed feedback'
+}), requireRole('admin'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { adminKey } = req.headers;
-    
-    // Simple admin key check (in production, use proper authentication)
-    if (adminKey !== process.env.ADMIN_KEY) {
-      return res.status(401).json({
+    const feedback = await Feedback.findOneAndDelete({ _id: req.params.id, deletedAt: { $ne: null } });
+
+    if (!feedback) {
+      return res.status(404).json({
         success: false,
-        error: 'Unauthorized',
-        message: 'Admin access required'
+        error: 'Not Found',
+        message: req.t('Feedback not found in the trash. Move it to the trash before purging it.')
       });
     }
+
+    await removeStoredAttachments(feedback);
+    await removeVotesFor([feedback._id]);
+
+    await recordAudit(req, {
+      action: 'feedback.purge',
+      target: { type: 'feedback', id: feedback._id },
+      changes: diffSnapshots(snapshot(feedback, DELETE_SNAPSHOT_FIELDS), {})
+    });
+
+    res.json({
+      success: true,
+      message: req.t('Feedback permanently deleted')
+    });
+
+  } catch (error) {
+    console.error('Error purging feedback:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to permanently delete feedback')
+    });
+  }
+});
+
+// @route   DELETE /api/feedback/:id
+// @desc    Move feedback to the trash (restorable until purged)
+// @access  Admin
+router.delete('/:id', describeRoute({
+  summary: 'Move feedback to the trash'
+}), requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
     
-    const feedback = await Feedback.findByIdAndDelete(id);
+    const feedback = await Feedback.findById(id).select('-ipAddress -userAgent');
     
     if (!feedback) {
       return res.status(404).json({
         success: false,
         error: 'Not Found',
-        message: 'Feedback not found'
+        message: req.t('Feedback not found')
       });
     }
+
+    await feedback.moveToTrash(req.admin.email);
+    publishFeedbackEvent('feedback.deleted', feedback);
+
+    await recordAudit(req, {
+      action: 'feedback.delete',
+      target: { type: 'feedback', id: feedback._id },
+      changes: [
+        { field: 'deletedAt', before: null, after: feedback.deletedAt },
+        { field: 'deletedBy', before: null, after: feedback.deletedBy }
+      ]
+    });
     
     res.json({
       success: true,
-      message: 'Feedback deleted successfully'
+      message: req.t('Feedback moved to the trash. It can be restored from /api/feedback/trash.'),
+      data: {
+        id: feedback._id,
+        deletedAt: feedback.deletedAt,
+        deletedBy: feedback.deletedBy
+      }
     });
     
   } catch (error) {
@@ -369,7 +2201,7 @@ router.delete('/:id', async (req, res) => {
     res.status(500).json({
       success: false,
       error: 'Server Error',
-      message: 'Failed to delete feedback'
+      message: req.t('Failed to delete feedback')
     });
   }
 });
@@ -0,0 +1,201 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const Feedback = require('../models/Feedback');
+const { requireRole } = require('../middleware/auth');
+const { screenFeedback } = require('../services/screening');
+const { snapshot, diffSnapshots, recordAudit } = require('../services/audit');
+const { emitFeedbackEvent } = require('../services/webhooks');
+const { publishFeedbackEvent } = require('../services/liveFeed');
+const { joiOptions } = require('../services/i18n');
+const { describeRoute } = require('../services/openapi');
+
+const DECISION_FIELDS = ['moderation.status', 'moderation.reason', 'spam.quarantined'];
+
+// Validation schemas
+const queueQueryValidation = Joi.object({
+  status: Joi.string().valid('pending', 'approved', 'rejected').default('pending'),
+  flag: Joi.string().valid('profanity', 'links', 'all-caps', 'contact-info', 'spam'),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const decisionValidation = Joi.object({
+  reason: Joi.string().trim().max(500).allow('')
+});
+
+const screenValidation = Joi.object({
+  name: Joi.string().allow('').max(100).default(''),
+  message: Joi.string().min(1).max(1000).required()
+});
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  error: 'Validation Error',
+  message: error.details[0].message,
+  details: error.details.map(detail => detail.message)
+});
+
+// Every moderation route is for moderators and above
+router.use(requireRole('moderator'));
+
+// @route   GET /api/admin/moderation/queue
+// @desc    Feedback awaiting moderation (oldest first), or past decisions
+// @access  Moderator
+router.get('/queue', describeRoute({
+  summary: 'Feedback awaiting moderation',
+  query: queueQueryValidation
+}), async (req, res) => {
+  try {
+    const { error, value } = queueQueryValidation.validate(req.query, joiOptions(req.locale));
+    if (error) return validationError(res, error);
+
+    const query = { 'moderation.status': value.status };
+    if (value.flag) query['moderation.flags'] = value.flag;
+
+    const [feedbacks, total] = await Promise.all([
+      Feedback.find(query)
+        .sort({ createdAt: value.status === 'pending' ? 1 : -1 })
+        .skip((value.page - 1) * value.limit)
+        .limit(value.limit)
+        .select('-ipAddress -userAgent'),
+      Feedback.countDocuments(query)
+    ]);
+    const totalPages = Math.ceil(total / value.limit);
+
+    res.json({
+      success: true,
+      data: feedbacks,
+      pagination: {
+        currentPage: value.page,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: value.limit,
+        hasNextPage: value.page < totalPages,
+        hasPrevPage: value.page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching moderation queue:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to fetch moderation queue')
+    });
+  }
+});
+
+// Record an approve/reject decision
+const decide = (decision) => async (req, res) => {
+  try {
+    const { error, value } = decisionValidation.validate(req.body || {}, joiOptions(req.locale));
+    if (error) return validationError(res, error);
+
+    const feedback = await Feedback.findById(req.params.id).select('-ipAddress -userAgent');
+
+    if (!feedback) {
+      return res.status(404).json({
+        success: false,
+        error: 'Not Found',
+        message: req.t('Feedback not found')
+      });
+    }
+
+    const before = snapshot(feedback, DECISION_FIELDS);
+
+    feedback.moderation.status = decision;
+    feedback.moderation.reviewedBy = req.admin.email;
+    feedback.moderation.reviewedAt = new Date();
+    feedback.moderation.reason = value.reason || undefined;
+    // Approving a quarantined submission releases it (and announces it, as it was held back)
+    const released = decision === 'approved' && feedback.spam && feedback.spam.quarantined;
+    if (released) {
+      feedback.spam.quarantined = false;
+    }
+    await feedback.save();
+
+    publishFeedbackEvent('feedback.updated', feedback);
+    if (released) {
+      emitFeedbackEvent('feedback.created', feedback);
+    }
+
+    await recordAudit(req, {
+      action: `moderation.${decision === 'approved' ? 'approve' : 'reject'}`,
+      target: { type: 'feedback', id: feedback._id },
+      changes: diffSnapshots(before, snapshot(feedback, DECISION_FIELDS))
+    });
+
+    res.json({
+      success: true,
+      message: decision === 'approved'
+        ? req.t('Feedback approved for public display')
+        : req.t('Feedback rejected and hidden from public display'),
+      data: feedback
+    });
+
+  } catch (error) {
+    console.error(`Error recording moderation decision (${decision}):`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to update moderation status')
+    });
+  }
+};
+
+// @route   POST /api/admin/moderation/:id/approve
+// @desc    Approve feedback for public display
+// @access  Moderator
+router.post('/:id/approve', describeRoute({
+  summary: 'Approve feedback for public display',
+  body: decisionValidation
+}), decide('approved'));
+
+// @route   POST /api/admin/moderation/:id/reject
+// @desc    Reject feedback (never shown publicly)
+// @access  Moderator
+router.post('/:id/reject', describeRoute({
+  summary: 'Reject feedback',
+  body: decisionValidation
+}), decide('rejected'));
+
+// @route   POST /api/admin/moderation/screen
+// @desc    Preview which screening flags a message would raise
+// @access  Moderator
+router.post('/screen', describeRoute({
+  summary: 'Preview screening flags for a message',
+  body: screenValidation
+}), async (req, res) => {
+  try {
+    const { error, value } = screenValidation.validate(req.body, joiOptions(req.locale));
+    if (error) return validationError(res, error);
+
+    const flags = screenFeedback(value);
+
+    // The text itself is not logged (see the audit log notes in the README)
+    await recordAudit(req, {
+      action: 'moderation.screen',
+      target: { type: 'feedback' },
+      meta: { flags, messageLength: value.message.length }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        flags,
+        wouldHold: flags.length > 0 || process.env.MODERATION_MODE === 'pre'
+      }
+    });
+
+  } catch (error) {
+    console.error('Error screening message:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to screen message')
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,188 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const {
+  REQUEST_ACTIONS,
+  exportSubjectData,
+  eraseSubjectData,
+  sendRequestLink,
+  readRequestToken,
+  renderConfirmPage
+} = require('../services/privacy');
+const { localizeMessages, joiOptions } = require('../services/i18n');
+const { describeRoute } = require('../services/openapi');
+
+// Validation schemas
+const requestValidation = Joi.object({
+  email: Joi.string().email().required().messages(localizeMessages({
+    'string.empty': 'Email is required',
+    'string.email': 'Please provide a valid email address'
+  })),
+  action: Joi.string().valid(...REQUEST_ACTIONS).required()
+});
+
+const confirmValidation = Joi.object({
+  token: Joi.string().required()
+});
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  error: 'Validation Error',
+  message: error.details[0].message,
+  details: error.details.map(detail => detail.message)
+});
+
+// Each request sends an email, so keep it tight
+const requestLimiter = require('express-rate-limit')({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // limit each IP to 5 privacy requests per hour
+  message: (req) => ({
+    error: req.t('Too many privacy requests from this network. Please try again later.'),
+  }),
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// @route   POST /api/privacy/requests
+// @desc    Ask for an export or erasure of all feedback sent from an email address
+// @access  Public (confirmed by emailed link)
+router.post('/requests', describeRoute({
+  summary: 'Request an export or erasure of your feedback (confirmed by email)',
+  body: requestValidation,
+  status: 202
+}), requestLimiter, async (req, res) => {
+  try {
+    const { error, value } = requestValidation.validate(req.body, joiOptions(req.locale));
+    if (error) return validationError(res, error);
+
+    // Same answer whether or not we hold data for this address
+    res.status(202).json({
+      success: true,
+      message: req.t('If we hold any feedback from this address, a confirmation link has been emailed to it.')
+    });
+
+    sendRequestLink(value, `${req.protocol}://${req.get('host')}`)
+      .then(sent => {
+        if (sent) console.log(`🔒 Privacy ${value.action} link sent`);
+      })
+      .catch(mailError => console.error('Error sending privacy request link:', mailError));
+
+  } catch (error) {
+    console.error('Error creating privacy request:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to create privacy request')
+    });
+  }
+});
+
+// Validate a confirmation token from the query or body; answers the request
+// itself (and returns null) when the token is missing or invalid
+const readConfirmation = (req, res, source) => {
+  const { error, value } = confirmValidation.validate(source, joiOptions(req.locale));
+  if (error) {
+    validationError(res, error);
+    return null;
+  }
+
+  const request = readRequestToken(value.token);
+  if (!request) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid Token',
+      message: req.t('This link is invalid or has expired. Please make a new request.')
+    });
+    return null;
+  }
+
+  return { ...request, token: value.token };
+};
+
+const sendExport = async (res, email) => {
+  const data = await exportSubjectData(email);
+  res.set('Cache-Control', 'no-store');
+  res.attachment('buzzguard-feedback-data.json');
+  res.json({ success: true, data });
+};
+
+// @route   GET /api/privacy/confirm
+// @desc    Open the emailed link: downloads an export, or shows the erasure
+//          confirmation page (read-only, so link scanners cannot erase anything)
+// @access  Public (signed token)
+router.get('/confirm', describeRoute({
+  summary: 'Open a confirmation link (export download or erasure confirmation page)',
+  query: confirmValidation,
+  produces: ['application/json', 'text/html']
+}), async (req, res) => {
+  try {
+    const request = readConfirmation(req, res, req.query);
+    if (!request) return;
+
+    if (request.action === 'export') return sendExport(res, request.email);
+
+    res.set('Cache-Control', 'no-store');
+    if (req.accepts(['json', 'html']) === 'html') {
+      return res.type('html').send(renderConfirmPage({
+        token: request.token,
+        action: req.originalUrl.split('?')[0],
+        language: req.locale,
+        text: {
+          heading: req.t('Delete your feedback?'),
+          text: req.t('This permanently deletes all feedback, attachments and votes sent from your email address. It cannot be undone.'),
+          button: req.t('Delete my feedback'),
+          note: req.t('If you did not make this request, close this page and nothing will change.')
+        }
+      }));
+    }
+
+    res.json({
+      success: true,
+      message: req.t('To permanently delete your feedback, send this token with POST /api/privacy/confirm.'),
+      data: { action: request.action }
+    });
+
+  } catch (error) {
+    console.error('Error opening privacy request:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to complete privacy request')
+    });
+  }
+});
+
+// @route   POST /api/privacy/confirm
+// @desc    Carry out a confirmed export or erasure (token from the emailed link)
+// @access  Public (signed token)
+router.post('/confirm', describeRoute({
+  summary: 'Carry out a confirmed privacy request',
+  body: confirmValidation,
+  consumes: ['application/json', 'application/x-www-form-urlencoded']
+}), async (req, res) => {
+  try {
+    const request = readConfirmation(req, res, req.body);
+    if (!request) return;
+
+    if (request.action === 'export') return sendExport(res, request.email);
+
+    const result = await eraseSubjectData(request.email);
+    console.log(`🔒 Self-service erasure removed ${result.deletedCount} feedback entries`);
+
+    res.json({
+      success: true,
+      message: req.t('Your feedback has been permanently deleted.'),
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error confirming privacy request:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to complete privacy request')
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,348 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const TaggingRule = require('../models/TaggingRule');
+const { requireRole } = require('../middleware/auth');
+const {
+  PRIORITY_ORDER,
+  compileRule,
+  ruleLanguages,
+  evaluateMessage,
+  getActiveRules,
+  invalidateRules
+} = require('../services/autoTagger');
+const { runRetag, scheduleRetag, getRetagStatus } = require('../jobs/retagFeedback');
+const { snapshot, diffSnapshots, recordAudit } = require('../services/audit');
+const { detectLanguage, localizeMessages, joiOptions } = require('../services/i18n');
+const { describeRoute } = require('../services/openapi');
+
+const RULE_FIELDS = [
+  'name', 'description', 'matchType', 'patterns', 'localizedPatterns', 'tags', 'priority', 'isActive', 'order'
+];
+
+// Validation schemas
+const ruleFields = {
+  name: Joi.string().trim().min(2).max(100),
+  description: Joi.string().trim().max(500).allow(''),
+  matchType: Joi.string().valid('word', 'phrase', 'regex'),
+  patterns: Joi.array().items(Joi.string().trim().min(1).max(200)).min(1).max(50),
+  // Keyed by language code; {} removes all language-specific patterns
+  localizedPatterns: Joi.object().pattern(
+    Joi.string().pattern(/^[a-z]{2,3}$/).messages(localizeMessages({
+      'string.pattern.base': 'localizedPatterns keys must be lowercase language codes such as "es"'
+    })),
+    Joi.array().items(Joi.string().trim().min(1).max(200)).max(50)
+  ),
+  tags: Joi.array().items(Joi.string().trim().lowercase().min(1).max(50)).max(10),
+  priority: Joi.string().valid(...PRIORITY_ORDER).allow(null),
+  isActive: Joi.boolean(),
+  order: Joi.number().integer().min(0).max(10000)
+};
+
+const createValidation = Joi.object({
+  ...ruleFields,
+  name: ruleFields.name.required(),
+  matchType: ruleFields.matchType.default('word'),
+  patterns: ruleFields.patterns.required(),
+  tags: ruleFields.tags.default([])
+});
+
+const updateValidation = Joi.object(ruleFields).min(1);
+
+const previewValidation = Joi.object({
+  message: Joi.string().min(1).max(1000).required(),
+  // Language of the message; detected from the text when omitted
+  language: Joi.string().trim().lowercase().pattern(/^[a-z]{2,3}$/),
+  // Optional draft rule to try before saving it
+  rule: Joi.object({
+    ...ruleFields,
+    name: ruleFields.name.default('Draft rule'),
+    matchType: ruleFields.matchType.default('word'),
+    patterns: ruleFields.patterns.required(),
+    tags: ruleFields.tags.default([])
+  })
+});
+
+const validationError = (res, message, details = [message]) => res.status(400).json({
+  success: false,
+  error: 'Validation Error',
+  message,
+  details
+});
+
+// Rules must do something and must compile; returns the (translated) problem or null
+const checkRule = (req, rule) => {
+  if ((!rule.tags || rule.tags.length === 0) && !rule.priority) {
+    return req.t('A rule needs at least one tag or a priority');
+  }
+  try {
+    compileRule(rule);
+    ruleLanguages(rule).forEach(language => compileRule(rule, language));
+  } catch (error) {
+    return req.t('Invalid pattern: {{reason}}', { reason: error.message });
+  }
+  return null;
+};
+
+const notFound = (req, res) => res.status(404).json({
+  success: false,
+  error: 'Not Found',
+  message: req.t('Tagging rule not found')
+});
+
+// Mongoose validation errors, translated like the route's own messages
+const modelValidationError = (req, res, error) => {
+  const details = Object.values(error.errors).map(err => req.t(err.message));
+  return validationError(res, details[0], details);
+};
+
+// Rule names are unique; also reached when two requests claim a name at once
+const nameTaken = (req, res) => res.status(409).json({
+  success: false,
+  error: 'Conflict',
+  message: req.t('A tagging rule with this name already exists')
+});
+
+// Any change to the rule set refreshes the cache and re-tags existing feedback
+const rulesChanged = () => {
+  invalidateRules();
+  scheduleRetag();
+};
+
+// @route   GET /api/admin/tagging-rules
+// @desc    List tagging rules
+// @access  Admin viewer
+router.get('/', describeRoute({
+  summary: 'List auto-tagging rules'
+}), requireRole('viewer'), async (req, res) => {
+  try {
+    const rules = await TaggingRule.find().sort({ order: 1, name: 1 });
+
+    res.json({
+      success: true,
+      data: rules,
+      count: rules.length
+    });
+
+  } catch (error) {
+    console.error('Error fetching tagging rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to fetch tagging rules')
+    });
+  }
+});
+
+// @route   POST /api/admin/tagging-rules/preview
+// @desc    Show which tags and priority a message would get
+// @access  Moderator
+router.post('/preview', describeRoute({
+  summary: 'Preview tags for a message',
+  body: previewValidation
+}), requireRole('moderator'), async (req, res) => {
+  try {
+    const { error, value } = previewValidation.validate(req.body, joiOptions(req.locale));
+    if (error) {
+      return validationError(res, error.details[0].message, error.details.map(detail => detail.message));
+    }
+
+    if (value.rule) {
+      const problem = checkRule(req, value.rule);
+      if (problem) return validationError(res, problem);
+    }
+
+    const rules = value.rule ? [value.rule] : await getActiveRules();
+    const language = value.language || detectLanguage(value.message);
+    const result = evaluateMessage(value.message, rules, language);
+
+    res.json({
+      success: true,
+      data: {
+        language,
+        tags: result.tags,
+        priority: result.priority,
+        matches: result.matches,
+        rulesEvaluated: rules.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Error previewing tagging rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to preview tagging rules')
+    });
+  }
+});
+
+// @route   GET /api/admin/tagging-rules/retag
+// @desc    Status of the last re-tagging run
+// @access  Admin viewer
+router.get('/retag', describeRoute({
+  summary: 'Status of the last re-tagging run'
+}), requireRole('viewer'), (req, res) => {
+  res.json({
+    success: true,
+    data: getRetagStatus()
+  });
+});
+
+// @route   POST /api/admin/tagging-rules/retag
+// @desc    Re-tag all existing feedback with the current rules
+// @access  Admin
+router.post('/retag', describeRoute({
+  summary: 'Re-tag all feedback with current rules',
+  status: 202
+}), requireRole('admin'), async (req, res) => {
+  try {
+    runRetag(`manual:${req.admin.email}`);
+    await recordAudit(req, { action: 'tagging-rule.retag', target: { type: 'tagging-rule' } });
+
+    res.status(202).json({
+      success: true,
+      message: req.t('Re-tagging started'),
+      data: getRetagStatus()
+    });
+
+  } catch (error) {
+    console.error('Error starting re-tagging:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to start re-tagging')
+    });
+  }
+});
+
+// @route   POST /api/admin/tagging-rules
+// @desc    Create a tagging rule
+// @access  Admin
+router.post('/', describeRoute({
+  summary: 'Create a tagging rule',
+  body: createValidation,
+  status: 201
+}), requireRole('admin'), async (req, res) => {
+  try {
+    const { error, value } = createValidation.validate(req.body, joiOptions(req.locale));
+    if (error) {
+      return validationError(res, error.details[0].message, error.details.map(detail => detail.message));
+    }
+
+    const problem = checkRule(req, value);
+    if (problem) return validationError(res, problem);
+
+    if (await TaggingRule.exists({ name: value.name })) return nameTaken(req, res);
+
+    const rule = await TaggingRule.create({ ...value, updatedBy: req.admin.email });
+    rulesChanged();
+
+    await recordAudit(req, {
+      action: 'tagging-rule.create',
+      target: { type: 'tagging-rule', id: rule._id },
+      changes: diffSnapshots({}, snapshot(rule, RULE_FIELDS))
+    });
+
+    res.status(201).json({
+      success: true,
+      message: req.t('Tagging rule created. Existing feedback will be re-tagged shortly.'),
+      data: rule
+    });
+
+  } catch (error) {
+    if (error.code === 11000) return nameTaken(req, res);
+    if (error.name === 'ValidationError') return modelValidationError(req, res, error);
+    console.error('Error creating tagging rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to create tagging rule')
+    });
+  }
+});
+
+// @route   PATCH /api/admin/tagging-rules/:id
+// @desc    Update a tagging rule
+// @access  Admin
+router.patch('/:id', describeRoute({
+  summary: 'Update a tagging rule',
+  body: updateValidation
+}), requireRole('admin'), async (req, res) => {
+  try {
+    const { error, value } = updateValidation.validate(req.body, joiOptions(req.locale));
+    if (error) {
+      return validationError(res, error.details[0].message, error.details.map(detail => detail.message));
+    }
+
+    const rule = await TaggingRule.findById(req.params.id);
+    if (!rule) return notFound(req, res);
+
+    const before = snapshot(rule, RULE_FIELDS);
+    rule.set({ ...value, updatedBy: req.admin.email });
+    if (value.priority === null) rule.priority = undefined;
+
+    const problem = checkRule(req, rule.toObject());
+    if (problem) return validationError(res, problem);
+
+    await rule.save();
+    rulesChanged();
+
+    await recordAudit(req, {
+      action: 'tagging-rule.update',
+      target: { type: 'tagging-rule', id: rule._id },
+      changes: diffSnapshots(before, snapshot(rule, RULE_FIELDS))
+    });
+
+    res.json({
+      success: true,
+      message: req.t('Tagging rule updated. Existing feedback will be re-tagged shortly.'),
+      data: rule
+    });
+
+  } catch (error) {
+    if (error.code === 11000) return nameTaken(req, res);
+    if (error.name === 'ValidationError') return modelValidationError(req, res, error);
+    console.error('Error updating tagging rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to update tagging rule')
+    });
+  }
+});
+
+// @route   DELETE /api/admin/tagging-rules/:id
+// @desc    Delete a tagging rule (set isActive=false to pause it instead)
+// @access  Admin
+router.delete('/:id', describeRoute({
+  summary: 'Delete a tagging rule'
+}), requireRole('admin'), async (req, res) => {
+  try {
+    const rule = await TaggingRule.findByIdAndDelete(req.params.id);
+    if (!rule) return notFound(req, res);
+
+    rulesChanged();
+
+    await recordAudit(req, {
+      action: 'tagging-rule.delete',
+      target: { type: 'tagging-rule', id: rule._id },
+      changes: diffSnapshots(snapshot(rule, RULE_FIELDS), {})
+    });
+
+    res.json({
+      success: true,
+      message: req.t('Tagging rule deleted. Existing feedback will be re-tagged shortly.')
+    });
+
+  } catch (error) {
+    console.error('Error deleting tagging rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to delete tagging rule')
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,409 @@
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { requireRole } = require('../middleware/auth');
+const { generateSecret, sendTestEvent } = require('../services/webhooks');
+const { deliverNow, processQueue } = require('../jobs/webhookQueue');
+const { snapshot, diffSnapshots, recordAudit } = require('../services/audit');
+const { localizeMessages, joiOptions } = require('../services/i18n');
+const { describeRoute } = require('../services/openapi');
+
+const WEBHOOK_FIELDS = ['name', 'url', 'events', 'filters.tags', 'filters.priorities', 'isActive'];
+
+// Validation schemas
+const webhookFields = {
+  name: Joi.string().trim().min(2).max(100),
+  url: Joi.string().trim().uri({ scheme: ['http', 'https'] }).messages(localizeMessages({
+    'string.uriCustomScheme': 'URL must be an http or https address'
+  })),
+  events: Joi.array().items(Joi.string().valid(...Webhook.EVENTS)).min(1).unique(),
+  filters: Joi.object({
+    tags: Joi.array().items(Joi.string().trim().lowercase().max(50)).max(20).default([]),
+    priorities: Joi.array().items(Joi.string().valid('low', 'medium', 'high', 'urgent')).unique().default([])
+  }),
+  isActive: Joi.boolean()
+};
+
+const createValidation = Joi.object({
+  ...webhookFields,
+  name: webhookFields.name.required(),
+  url: webhookFields.url.required(),
+  events: webhookFields.events.default(Webhook.EVENTS),
+  // Generated when omitted
+  secret: Joi.string().min(16).max(200)
+});
+
+const updateValidation = Joi.object(webhookFields).min(1);
+
+const deliveriesQueryValidation = Joi.object({
+  status: Joi.string().valid('pending', 'delivering', 'succeeded', 'failed'),
+  event: Joi.string().max(50),
+  page: Joi.number().integer().min(1).default(1),
+  limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  error: 'Validation Error',
+  message: error.details[0].message,
+  details: error.details.map(detail => detail.message)
+});
+
+// Mongoose validation errors (the model's messages are translated like the route's own)
+const modelValidationError = (req, res, error) => {
+  const details = Object.values(error.errors).map(err => req.t(err.message));
+  return res.status(400).json({
+    success: false,
+    error: 'Validation Error',
+    message: details[0],
+    details
+  });
+};
+
+const notFound = (req, res, message = 'Webhook not found') => res.status(404).json({
+  success: false,
+  error: 'Not Found',
+  message: req.t(message)
+});
+
+// Webhooks send feedback to third parties, so only admins manage them
+router.use(requireRole('admin'));
+
+// @route   GET /api/admin/webhooks
+// @desc    List webhook subscriptions
+// @access  Admin
+router.get('/', describeRoute({ summary: 'List webhook subscriptions' }), async (req, res) => {
+  try {
+    const webhooks = await Webhook.find().sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      data: webhooks,
+      count: webhooks.length,
+      events: Webhook.EVENTS
+    });
+
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to fetch webhooks')
+    });
+  }
+});
+
+// @route   POST /api/admin/webhooks
+// @desc    Create a webhook subscription (the secret is only returned here)
+// @access  Admin
+router.post('/', describeRoute({
+  summary: 'Create a webhook subscription',
+  body: createValidation,
+  status: 201
+}), async (req, res) => {
+  try {
+    const { error, value } = createValidation.validate(req.body, joiOptions(req.locale));
+    if (error) return validationError(res, error);
+
+    const secret = value.secret || generateSecret();
+    const webhook = await Webhook.create({
+      ...value,
+      secret,
+      createdBy: req.admin.email,
+      updatedBy: req.admin.email
+    });
+
+    await recordAudit(req, {
+      action: 'webhook.create',
+      target: { type: 'webhook', id: webhook._id },
+      changes: diffSnapshots({}, snapshot(webhook, WEBHOOK_FIELDS))
+    });
+
+    res.status(201).json({
+      success: true,
+      message: req.t('Webhook created. Store the secret now - it will not be shown again.'),
+      data: { ...webhook.toJSON(), secret }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') return modelValidationError(req, res, error);
+    console.error('Error creating webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to create webhook')
+    });
+  }
+});
+
+// @route   GET /api/admin/webhooks/:id
+// @desc    Get a webhook subscription with delivery counts
+// @access  Admin
+router.get('/:id', describeRoute({
+  summary: 'Get a subscription with delivery counts'
+}), async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) return notFound(req, res);
+
+    const counts = await WebhookDelivery.aggregate([
+      { $match: { webhook: webhook._id } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...webhook.toJSON(),
+        deliveries: Object.fromEntries(counts.map(({ _id, count }) => [_id, count]))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to fetch webhook')
+    });
+  }
+});
+
+// @route   PATCH /api/admin/webhooks/:id
+// @desc    Update a webhook subscription
+// @access  Admin
+router.patch('/:id', describeRoute({
+  summary: 'Update a subscription',
+  body: updateValidation
+}), async (req, res) => {
+  try {
+    const { error, value } = updateValidation.validate(req.body, joiOptions(req.locale));
+    if (error) return validationError(res, error);
+
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) return notFound(req, res);
+
+    const before = snapshot(webhook, WEBHOOK_FIELDS);
+    webhook.set({ ...value, updatedBy: req.admin.email });
+    await webhook.save();
+
+    await recordAudit(req, {
+      action: 'webhook.update',
+      target: { type: 'webhook', id: webhook._id },
+      changes: diffSnapshots(before, snapshot(webhook, WEBHOOK_FIELDS))
+    });
+
+    res.json({
+      success: true,
+      message: req.t('Webhook updated successfully'),
+      data: webhook
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') return modelValidationError(req, res, error);
+    console.error('Error updating webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to update webhook')
+    });
+  }
+});
+
+// @route   POST /api/admin/webhooks/:id/rotate-secret
+// @desc    Replace the signing secret (the new one is only returned here)
+// @access  Admin
+router.post('/:id/rotate-secret', describeRoute({
+  summary: 'Replace the signing secret'
+}), async (req, res) => {
+  try {
+    const secret = generateSecret();
+    const webhook = await Webhook.findByIdAndUpdate(
+      req.params.id,
+      { $set: { secret, updatedBy: req.admin.email } },
+      { new: true }
+    );
+    if (!webhook) return notFound(req, res);
+
+    await recordAudit(req, {
+      action: 'webhook.rotate-secret',
+      target: { type: 'webhook', id: webhook._id }
+    });
+
+    res.json({
+      success: true,
+      message: req.t('Secret rotated. Update your receiver - the old secret no longer works.'),
+      data: { id: webhook._id, secret }
+    });
+
+  } catch (error) {
+    console.error('Error rotating webhook secret:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to rotate webhook secret')
+    });
+  }
+});
+
+// @route   DELETE /api/admin/webhooks/:id
+// @desc    Delete a webhook subscription (queued deliveries are dropped)
+// @access  Admin
+router.delete('/:id', describeRoute({ summary: 'Delete a subscription' }), async (req, res) => {
+  try {
+    const webhook = await Webhook.findByIdAndDelete(req.params.id);
+    if (!webhook) return notFound(req, res);
+
+    await WebhookDelivery.deleteMany({ webhook: webhook._id, status: 'pending' });
+
+    await recordAudit(req, {
+      action: 'webhook.delete',
+      target: { type: 'webhook', id: webhook._id },
+      changes: diffSnapshots(snapshot(webhook, WEBHOOK_FIELDS), {})
+    });
+
+    res.json({
+      success: true,
+      message: req.t('Webhook deleted successfully')
+    });
+
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to delete webhook')
+    });
+  }
+});
+
+// @route   POST /api/admin/webhooks/:id/test
+// @desc    Queue a "webhook.test" event and try to send it right away
+// @access  Admin
+router.post('/:id/test', describeRoute({
+  summary: 'Send a test event',
+  status: 202
+}), async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) return notFound(req, res);
+
+    const queued = await sendTestEvent(webhook, req.admin.email);
+    const delivery = await deliverNow(queued._id);
+
+    await recordAudit(req, {
+      action: 'webhook.test',
+      target: { type: 'webhook', id: webhook._id },
+      meta: { deliveryId: String(delivery._id), deliveryStatus: delivery.status }
+    });
+
+    res.status(202).json({
+      success: true,
+      message: delivery.status === 'succeeded'
+        ? req.t('Test event delivered')
+        : req.t('Test event not delivered yet ({{reason}}); it will be retried', {
+          reason: delivery.error || delivery.status
+        }),
+      data: delivery
+    });
+
+  } catch (error) {
+    console.error('Error sending test webhook:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to send test event')
+    });
+  }
+});
+
+// @route   GET /api/admin/webhooks/:id/deliveries
+// @desc    Delivery log for a subscription (newest first)
+// @access  Admin
+router.get('/:id/deliveries', describeRoute({
+  summary: 'Delivery log of a subscription',
+  query: deliveriesQueryValidation
+}), async (req, res) => {
+  try {
+    const { error, value } = deliveriesQueryValidation.validate(req.query, joiOptions(req.locale));
+    if (error) return validationError(res, error);
+
+    const query = { webhook: req.params.id };
+    if (value.status) query.status = value.status;
+    if (value.event) query.event = value.event;
+
+    const [deliveries, total] = await Promise.all([
+      WebhookDelivery.find(query)
+        .sort({ createdAt: -1 })
+        .skip((value.page - 1) * value.limit)
+        .limit(value.limit),
+      WebhookDelivery.countDocuments(query)
+    ]);
+    const totalPages = Math.ceil(total / value.limit);
+
+    res.json({
+      success: true,
+      data: deliveries,
+      pagination: {
+        currentPage: value.page,
+        totalPages,
+        totalItems: total,
+        itemsPerPage: value.limit,
+        hasNextPage: value.page < totalPages,
+        hasPrevPage: value.page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to fetch webhook deliveries')
+    });
+  }
+});
+
+// @route   POST /api/admin/webhooks/:id/deliveries/:deliveryId/retry
+// @desc    Send a failed delivery again now
+// @access  Admin
+router.post('/:id/deliveries/:deliveryId/retry', describeRoute({
+  summary: 'Retry a failed delivery',
+  status: 202
+}), async (req, res) => {
+  try {
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { _id: req.params.deliveryId, webhook: req.params.id, status: 'failed' },
+      { $set: { status: 'pending', nextAttemptAt: new Date(), attempts: 0 } },
+      { new: true }
+    );
+    if (!delivery) return notFound(req, res, 'Failed delivery not found');
+
+    await recordAudit(req, {
+      action: 'webhook.retry',
+      target: { type: 'webhook', id: delivery.webhook },
+      changes: [{ field: 'status', before: 'failed', after: 'pending' }],
+      meta: { deliveryId: String(delivery._id), event: delivery.event }
+    });
+
+    processQueue();
+
+    res.status(202).json({
+      success: true,
+      message: req.t('Delivery queued for another attempt'),
+      data: delivery
+    });
+
+  } catch (error) {
+    console.error('Error retrying webhook delivery:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server Error',
+      message: req.t('Failed to retry delivery')
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,58 @@
+// Create (or reset) an admin account from the command line
+// Usage: node scripts/create-admin.js <email> "<name>" [viewer|moderator|admin]
+// The password is read from ADMIN_PASSWORD, or generated and printed once
+
+require('dotenv').config();
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const AdminUser = require('../models/AdminUser');
+
+async function createAdmin() {
+  const [email, name, role = 'admin'] = process.argv.slice(2);
+
+  if (!email || !name) {
+    console.error('Usage: node scripts/create-admin.js <email> "<name>" [viewer|moderator|admin]');
+    process.exit(1);
+  }
+
+  if (!AdminUser.ROLES.includes(role)) {
+    console.error(`❌ Unknown role "${role}". Use one of: ${AdminUser.ROLES.join(', ')}`);
+    process.exit(1);
+  }
+
+  const generated = !process.env.ADMIN_PASSWORD;
+  const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || process.env.MONGODB_URL);
+    console.log('Connected to MongoDB');
+
+    let user = await AdminUser.findOne({ email: email.toLowerCase() });
+    const isNew = !user;
+    if (isNew) {
+      user = new AdminUser({ email, name, role });
+    } else {
+      user.name = name;
+      user.role = role;
+      user.isActive = true;
+      user.tokenVersion += 1;
+    }
+
+    await user.setPassword(password);
+    await user.save();
+
+    console.log(`✅ ${isNew ? 'Created' : 'Updated'} ${role} account for ${user.email}`);
+    if (generated) {
+      console.log(`🔑 Generated password: ${password}`);
+      console.log('   Store it safely - it will not be shown again.');
+    }
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Failed to create admin:', error.message);
+    process.exit(1);
+  }
+}
+
+createAdmin();
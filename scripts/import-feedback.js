@@ -0,0 +1,52 @@
+// Import historical feedback from a CSV or JSON file
+// Usage: node scripts/import-feedback.js <file.csv|file.json> [--dry-run] [--source=paper-form]
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { parseImport, importFeedback } = require('../services/importer');
+
+async function runImport() {
+  const args = process.argv.slice(2);
+  const file = args.find(arg => !arg.startsWith('--'));
+  const dryRun = args.includes('--dry-run');
+  const sourceArg = args.find(arg => arg.startsWith('--source='));
+  const source = sourceArg ? sourceArg.split('=')[1] : 'import';
+
+  if (!file) {
+    console.error('Usage: node scripts/import-feedback.js <file.csv|file.json> [--dry-run] [--source=paper-form]');
+    process.exit(1);
+  }
+
+  try {
+    const format = path.extname(file).toLowerCase() === '.json' ? 'json' : 'csv';
+    const records = parseImport(fs.readFileSync(file, 'utf8'), format);
+    console.log(`Read ${records.length} rows from ${file} (${format})`);
+
+    await mongoose.connect(process.env.MONGODB_URI || process.env.MONGODB_URL);
+    console.log('Connected to MongoDB');
+
+    const report = await importFeedback(records, { dryRun, source });
+
+    report.rows
+      .filter(row => row.status === 'failed')
+      .forEach(row => console.log(`  ❌ Row ${row.row}: ${row.errors.join('; ')}`));
+    report.rows
+      .filter(row => row.status === 'skipped')
+      .forEach(row => console.log(`  ⏭️  Row ${row.row}: ${row.reason}`));
+
+    console.log(`\n${dryRun ? '🔍 Dry run' : '✅ Import'} finished`);
+    console.log(`   ${dryRun ? 'Valid' : 'Imported'}: ${report.imported}`);
+    console.log(`   Skipped: ${report.skipped}`);
+    console.log(`   Failed: ${report.failed}`);
+
+    await mongoose.connection.close();
+    process.exit(report.failed > 0 ? 2 : 0);
+  } catch (error) {
+    console.error('❌ Import failed:', error.message);
+    process.exit(1);
+  }
+}
+
+runImport();
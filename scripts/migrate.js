@@ -0,0 +1,83 @@
+// Run database migrations (files in migrations/, see services/migrations)
+// Usage: npm run migrate -- <status|up|down|unlock> [--dry-run] [--to=<number>] [--steps=<n>]
+//   status          List migrations and whether they have been applied
+//   up              Apply pending migrations (all, or up to --to)
+//   down            Revert the last applied migration (or --steps of them, or all after --to)
+//   unlock          Remove the lock left behind by a run that crashed
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const {
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  forceUnlock
+} = require('../services/migrations');
+
+const USAGE = 'Usage: npm run migrate -- <status|up|down|unlock> [--dry-run] [--to=<number>] [--steps=<n>]';
+
+const printResults = (results, dryRun) => {
+  results.forEach(step => {
+    const result = step.result ? ` ${JSON.stringify(step.result)}` : '';
+    console.log(`   ${step.name}${result} (${step.durationMs}ms)`);
+  });
+  if (results.length === 0) console.log('✅ Nothing to do');
+  else console.log(`${dryRun ? '🔍 Dry run of' : '✅ Ran'} ${results.length} migration(s)`);
+};
+
+async function runMigrations() {
+  const args = process.argv.slice(2);
+  const command = args.find(arg => !arg.startsWith('--')) || 'status';
+  const dryRun = args.includes('--dry-run');
+  const option = (name) => {
+    const arg = args.find(value => value.startsWith(`--${name}=`));
+    return arg ? arg.split('=')[1] : undefined;
+  };
+
+  if (!['status', 'up', 'down', 'unlock'].includes(command)) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI || process.env.MONGODB_URL);
+    console.log('Connected to MongoDB');
+
+    if (command === 'status') {
+      const migrations = await getMigrationStatus();
+      migrations.forEach(migration => {
+        const state = migration.applied
+          ? `applied ${migration.appliedAt.toISOString()}`
+          : 'pending';
+        const notes = [
+          migration.reversible ? null : 'irreversible',
+          migration.missing ? 'file missing' : null
+        ].filter(Boolean);
+        console.log(`  ${migration.applied ? '✅' : '⏳'} ${migration.name} - ${state}${notes.length ? ` (${notes.join(', ')})` : ''}`);
+      });
+      const pending = migrations.filter(migration => !migration.applied).length;
+      console.log(`\n${pending} pending of ${migrations.length}`);
+    }
+
+    if (command === 'up') {
+      printResults(await migrateUp({ to: option('to'), dryRun }), dryRun);
+    }
+
+    if (command === 'down') {
+      const steps = parseInt(option('steps') || '1');
+      printResults(await migrateDown({ steps, to: option('to'), dryRun }), dryRun);
+    }
+
+    if (command === 'unlock') {
+      console.log(await forceUnlock() ? '🔓 Lock removed' : 'No lock was held');
+    }
+
+    await mongoose.connection.close();
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exit(1);
+  }
+}
+
+runMigrations();
@@ -0,0 +1,51 @@
+// Local webhook receiver for trying out subscriptions
+// Usage: WEBHOOK_SECRET=<secret> node scripts/webhook-receiver.js [port]
+// Point a webhook at http://localhost:<port>/ (default 4000) and use
+// POST /api/admin/webhooks/:id/test. Every request is printed with the result
+// of the signature check. Set RECEIVER_FAIL=true to answer 500 and watch retries
+
+const http = require('http');
+const { verifySignature } = require('../services/webhooks');
+
+const port = parseInt(process.argv[2] || '4000');
+const secret = process.env.WEBHOOK_SECRET;
+const fail = process.env.RECEIVER_FAIL === 'true';
+
+if (!secret) {
+  console.warn('⚠️  WEBHOOK_SECRET not set - signatures will not be checked');
+}
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', chunk => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    const event = req.headers['x-buzzguard-event'];
+    const delivery = req.headers['x-buzzguard-delivery'];
+    const signed = secret
+      ? verifySignature(secret, req.headers['x-buzzguard-timestamp'], body, req.headers['x-buzzguard-signature'])
+      : null;
+
+    console.log(`\n📬 ${new Date().toISOString()} ${req.method} ${req.url}`);
+    console.log(`   event: ${event}  delivery: ${delivery}`);
+    console.log(`   signature: ${signed === null ? 'not checked' : signed ? '✅ valid' : '❌ INVALID'}`);
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch (error) {
+      console.log(body);
+    }
+
+    if (signed === false) {
+      res.writeHead(401);
+      return res.end('invalid signature');
+    }
+    res.writeHead(fail ? 500 : 200);
+    res.end(fail ? 'failing on purpose' : 'ok');
+  });
+});
+
+server.listen(port, () => {
+  console.log(`🪝 Webhook receiver listening on http://localhost:${port}/`);
+});
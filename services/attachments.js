@@ -0,0 +1,296 @@
+const path = require('path');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Feedback = require('../models/Feedback');
+const { putObject, getObject, deleteObject } = require('./storage');
+const { formatMessage } = require('./i18n');
+
+// Screenshots and log files sent with feedback
+// The declared MIME type and file name are never trusted: the type comes from
+// the file's own bytes, images lose their metadata (EXIF location, camera
+// serials, editing history) before they are stored, and logs must be UTF-8 text
+
+const MB = 1024 * 1024;
+
+const formatSize = (bytes) => (bytes >= MB
+  ? `${+(bytes / MB).toFixed(1)} MB`
+  : `${Math.round(bytes / 1024)} KB`);
+
+const getAttachmentLimits = () => ({
+  maxFiles: parseInt(process.env.ATTACHMENT_MAX_FILES || '3'),
+  maxImageBytes: parseFloat(process.env.ATTACHMENT_MAX_IMAGE_MB || '5') * MB,
+  maxLogBytes: parseFloat(process.env.ATTACHMENT_MAX_LOG_MB || '1') * MB
+});
+
+// `message` may hold {{placeholders}} filled from `params`; the unfilled
+// template is kept so routes can translate it
+class AttachmentError extends Error {
+  constructor(message, status = 400, params = {}) {
+    super(formatMessage(message, params));
+    this.name = 'AttachmentError';
+    this.status = status;
+    this.template = message;
+    this.params = params;
+  }
+}
+
+const LOG_EXTENSIONS = ['log', 'txt'];
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+
+const isUtf8Text = (buffer) => {
+  if (buffer.includes(0)) return false;
+  try {
+    utf8.decode(buffer);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// { contentType, kind, extension } from the file contents, or null if not allowed
+const sniffContentType = (buffer, fileName = '') => {
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return { contentType: 'image/png', kind: 'image', extension: 'png' };
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return { contentType: 'image/jpeg', kind: 'image', extension: 'jpg' };
+  }
+  if (buffer.length >= 12 && buffer.toString('latin1', 0, 4) === 'RIFF' &&
+      buffer.toString('latin1', 8, 12) === 'WEBP') {
+    return { contentType: 'image/webp', kind: 'image', extension: 'webp' };
+  }
+  if (buffer.length > 0 && isUtf8Text(buffer)) {
+    const extension = path.extname(fileName).slice(1).toLowerCase();
+    return {
+      contentType: 'text/plain; charset=utf-8',
+      kind: 'log',
+      extension: LOG_EXTENSIONS.includes(extension) ? extension : 'txt'
+    };
+  }
+  return null;
+};
+
+const corrupt = (type) => new AttachmentError('The {{type}} image is damaged or incomplete', 400, { type });
+
+// JPEG: drop EXIF/XMP (APP1), IPTC (APP13), other APPn segments and comments
+// JFIF (APP0), ICC colour profiles (APP2) and Adobe colour info (APP14) are kept
+const stripJpeg = (buffer) => {
+  const kept = [buffer.subarray(0, 2)];
+  let offset = 2;
+
+  while (offset < buffer.length) {
+    if (buffer[offset] !== 0xff) throw corrupt('JPEG');
+    // Markers may be padded with extra 0xFF bytes
+    while (buffer[offset + 1] === 0xff) offset += 1;
+    const marker = buffer[offset + 1];
+
+    // Start of scan: the compressed image data runs to the end
+    if (marker === 0xda || marker === 0xd9) {
+      kept.push(buffer.subarray(offset));
+      break;
+    }
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      kept.push(buffer.subarray(offset, offset + 2));
+      offset += 2;
+      continue;
+    }
+    if (offset + 4 > buffer.length) throw corrupt('JPEG');
+
+    const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+    if (end > buffer.length) throw corrupt('JPEG');
+
+    const isIccProfile = marker === 0xe2 &&
+      buffer.toString('latin1', offset + 4, offset + 16) === 'ICC_PROFILE\0';
+    const isMetadata = marker === 0xfe ||
+      (marker >= 0xe1 && marker <= 0xef && marker !== 0xee && !isIccProfile);
+    if (!isMetadata) kept.push(buffer.subarray(offset, end));
+    offset = end;
+  }
+
+  return Buffer.concat(kept);
+};
+
+// PNG: drop text, EXIF and timestamp chunks, and anything after IEND
+const PNG_METADATA_CHUNKS = ['tEXt', 'zTXt', 'iTXt', 'eXIf', 'tIME'];
+
+const stripPng = (buffer) => {
+  const kept = [PNG_SIGNATURE];
+  let offset = PNG_SIGNATURE.length;
+
+  while (offset < buffer.length) {
+    if (offset + 12 > buffer.length) throw corrupt('PNG');
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    const end = offset + 12 + buffer.readUInt32BE(offset);
+    if (end > buffer.length) throw corrupt('PNG');
+
+    if (!PNG_METADATA_CHUNKS.includes(type)) kept.push(buffer.subarray(offset, end));
+    offset = end;
+    if (type === 'IEND') break;
+  }
+
+  return Buffer.concat(kept);
+};
+
+// WebP: drop the EXIF and XMP chunks and clear their flags in the VP8X header
+const VP8X_EXIF_FLAG = 0x08;
+const VP8X_XMP_FLAG = 0x04;
+
+const stripWebp = (buffer) => {
+  const kept = [];
+  let offset = 12;
+
+  while (offset < buffer.length) {
+    if (offset + 8 > buffer.length) throw corrupt('WebP');
+    const type = buffer.toString('latin1', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    // Chunks are padded to an even length
+    const end = offset + 8 + size + (size % 2);
+    if (offset + 8 + size > buffer.length) throw corrupt('WebP');
+
+    if (type === 'VP8X') {
+      const chunk = Buffer.from(buffer.subarray(offset, Math.min(end, buffer.length)));
+      chunk[8] &= ~(VP8X_EXIF_FLAG | VP8X_XMP_FLAG);
+      kept.push(chunk);
+    } else if (type !== 'EXIF' && type !== 'XMP ') {
+      kept.push(buffer.subarray(offset, Math.min(end, buffer.length)));
+    }
+    offset = end;
+  }
+
+  const body = Buffer.concat(kept);
+  const header = Buffer.alloc(12);
+  header.write('RIFF', 0, 'latin1');
+  header.writeUInt32LE(body.length + 4, 4);
+  header.write('WEBP', 8, 'latin1');
+  return Buffer.concat([header, body]);
+};
+
+const stripImageMetadata = (buffer, contentType) => {
+  switch (contentType) {
+    case 'image/jpeg': return stripJpeg(buffer);
+    case 'image/png': return stripPng(buffer);
+    case 'image/webp': return stripWebp(buffer);
+    default: return buffer;
+  }
+};
+
+// A display name safe for headers and logs, with the detected extension
+const safeFileName = (originalName, extension) => {
+  const base = path.basename(String(originalName || ''), path.extname(String(originalName || '')))
+    .replace(/[\u0000-\u001f\u007f"\\/]/g, '')
+    .trim()
+    .slice(0, 100);
+  return `${base || 'attachment'}.${extension}`;
+};
+
+// Check and clean uploaded files (multer memory storage) before anything is stored
+// Returns attachment records plus their data; throws AttachmentError when a file is refused
+const prepareAttachments = (files = []) => {
+  const limits = getAttachmentLimits();
+  if (files.length > limits.maxFiles) {
+    throw new AttachmentError('At most {{max}} attachments are allowed', 400, { max: limits.maxFiles });
+  }
+
+  return files.map((file) => {
+    const detected = sniffContentType(file.buffer, file.originalname);
+    if (!detected) {
+      throw new AttachmentError(
+        '"{{file}}" is not a supported file. Attach PNG, JPEG or WebP images or plain-text log files',
+        415,
+        { file: file.originalname }
+      );
+    }
+
+    const maxBytes = detected.kind === 'image' ? limits.maxImageBytes : limits.maxLogBytes;
+    if (file.size > maxBytes) {
+      throw new AttachmentError(
+        detected.kind === 'image'
+          ? '"{{file}}" is too large (images are limited to {{size}})'
+          : '"{{file}}" is too large (log files are limited to {{size}})',
+        413,
+        { file: file.originalname, size: formatSize(maxBytes) }
+      );
+    }
+
+    const data = detected.kind === 'image'
+      ? stripImageMetadata(file.buffer, detected.contentType)
+      : file.buffer;
+
+    return {
+      _id: new mongoose.Types.ObjectId(),
+      fileName: safeFileName(file.originalname, detected.extension),
+      contentType: detected.contentType,
+      kind: detected.kind,
+      size: data.length,
+      sha256: crypto.createHash('sha256').update(data).digest('hex'),
+      extension: detected.extension,
+      data
+    };
+  });
+};
+
+const storageKeyFor = (feedback, attachmentId, extension) =>
+  `feedback/${feedback._id}/${attachmentId}.${extension}`;
+
+// Delete the stored files of the given feedback documents; never throws
+const removeStoredAttachments = async (feedbacks) => {
+  const keys = [].concat(feedbacks)
+    .flatMap(feedback => (feedback && feedback.attachments) || [])
+    .map(attachment => attachment.storageKey)
+    .filter(Boolean);
+
+  const results = await Promise.allSettled(keys.map(key => deleteObject(key)));
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      console.error(`📎 Failed to delete attachment ${keys[index]}:`, result.reason.message);
+    }
+  });
+  return keys.length;
+};
+
+// Upload prepared attachments and record them on the (unsaved) feedback
+// If any upload fails, the ones already stored are removed again
+const storeAttachments = async (feedback, prepared) => {
+  const records = prepared.map(({ data, extension, ...record }) => ({
+    ...record,
+    storageKey: storageKeyFor(feedback, record._id, extension)
+  }));
+
+  try {
+    await Promise.all(prepared.map((attachment, index) =>
+      putObject(records[index].storageKey, attachment.data, attachment.contentType)));
+  } catch (error) {
+    await removeStoredAttachments({ attachments: records });
+    throw error;
+  }
+
+  feedback.attachments = records;
+  return feedback.attachments;
+};
+
+// Remove the files of every feedback matching filter, including trashed feedback
+// Call before deleting the documents themselves
+const removeAttachmentsMatching = async (filter) => {
+  const feedbacks = await Feedback.find({ ...filter, 'attachments.0': { $exists: true } })
+    .setOptions({ withDeleted: true })
+    .select('attachments.storageKey')
+    .lean();
+  return removeStoredAttachments(feedbacks);
+};
+
+// Resolves to the file contents, or null when the object is missing from storage
+const readAttachment = (attachment) => getObject(attachment.storageKey);
+
+module.exports = {
+  AttachmentError,
+  getAttachmentLimits,
+  sniffContentType,
+  stripImageMetadata,
+  prepareAttachments,
+  storeAttachments,
+  readAttachment,
+  removeStoredAttachments,
+  removeAttachmentsMatching
+};
@@ -0,0 +1,58 @@
+const crypto = require('crypto');
+const AuditLog = require('../models/AuditLog');
+
+// Helpers for writing the audit log from admin routes
+
+const toPlain = (value) => {
+  if (value === undefined) return null;
+  return JSON.parse(JSON.stringify(value));
+};
+
+// Pick `fields` from a document (or plain object) as plain JSON values
+// (Map fields such as TaggingRule.localizedPatterns become plain objects)
+const snapshot = (doc, fields) => {
+  const source = doc && typeof doc.toObject === 'function' ? doc.toObject({ flattenMaps: true }) : (doc || {});
+  return Object.fromEntries(fields.map(field => [
+    field,
+    toPlain(field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source))
+  ]));
+};
+
+// Fields whose value differs between two snapshots
+const diffSnapshots = (before, after) => Object.keys({ ...before, ...after })
+  .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+  .map(field => ({ field, before: before[field] ?? null, after: after[field] ?? null }));
+
+// Stable pseudonym for an email address, so erasures can be traced
+// without keeping the address itself
+const hashEmail = (email) => crypto
+  .createHash('sha256')
+  .update(String(email).trim().toLowerCase())
+  .digest('hex');
+
+// Append an entry for the admin behind `req` (or an explicit actor)
+// A failure is logged but never breaks the action being audited
+const recordAudit = async (req, { action, target, changes = [], meta, actor }) => {
+  const admin = actor || req.admin;
+
+  try {
+    await AuditLog.create({
+      actor: admin ? { id: admin._id, email: admin.email, role: admin.role } : undefined,
+      action,
+      target: target ? { type: target.type, id: target.id && String(target.id) } : undefined,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      changes,
+      meta
+    });
+  } catch (error) {
+    console.error(`📋 Failed to write audit log entry (${action}):`, error.message);
+  }
+};
+
+module.exports = {
+  snapshot,
+  diffSnapshots,
+  hashEmail,
+  recordAudit
+};
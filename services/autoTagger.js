@@ -0,0 +1,239 @@
+const TaggingRule = require('../models/TaggingRule');
+
+// Rule-based auto-tagging
+// Active rules are loaded from the taggingrules collection and cached until
+// a rule changes. Matching uses Unicode-aware word boundaries, so "app" no
+// longer matches inside "happy"
+// A rule's `patterns` apply to feedback in any language; `localizedPatterns`
+// add keywords for feedback written in one language (see Feedback.language)
+
+const PRIORITY_ORDER = ['low', 'medium', 'high', 'urgent'];
+
+// Rules seeded into an empty collection; they mirror the original keyword checks
+const DEFAULT_RULES = [
+  {
+    name: 'Bug reports',
+    matchType: 'word',
+    patterns: ['bug*', 'error*', 'issue*', 'crash*'],
+    localizedPatterns: {
+      de: ['fehler*', 'absturz*', 'abgestürzt', 'stürzt', 'defekt*'],
+      es: ['fallo*', 'falla', 'fallas', 'cierra', 'cuelga*', 'bloquea*'],
+      fr: ['erreur*', 'bogue*', 'plante', 'plantage*', 'panne*', 'crashe*']
+    },
+    tags: ['bug-report'],
+    priority: 'high',
+    order: 10
+  },
+  {
+    name: 'Feature requests',
+    matchType: 'word',
+    patterns: ['feature*', 'suggestion*', 'suggest', 'improve*'],
+    localizedPatterns: {
+      de: ['vorschlag*', 'vorschläge*', 'funktion', 'funktionen', 'verbesser*', 'wunsch', 'wünsche*'],
+      es: ['sugerencia*', 'sugiero', 'funcionalidad*', 'función', 'funciones', 'mejora*'],
+      fr: ['suggère*', 'suggérer', 'fonctionnalité*', 'amélior*']
+    },
+    tags: ['feature-request'],
+    order: 20
+  },
+  {
+    name: 'Mobile app',
+    matchType: 'word',
+    patterns: ['app', 'apps', 'mobile', 'android', 'ios'],
+    localizedPatterns: {
+      de: ['handy', 'smartphone', 'anwendung'],
+      es: ['aplicación', 'aplicacion', 'móvil', 'movil', 'celular'],
+      fr: ['application', 'appli', 'portable', 'smartphone']
+    },
+    tags: ['mobile-app'],
+    order: 30
+  },
+  {
+    name: 'Hardware',
+    matchType: 'word',
+    patterns: ['device*', 'esp32', 'hardware', 'sensor*', 'battery'],
+    localizedPatterns: {
+      de: ['gerät*', 'akku*', 'batterie*'],
+      es: ['dispositivo*', 'aparato*', 'batería', 'bateria'],
+      fr: ['appareil*', 'capteur*', 'batterie*', 'matériel']
+    },
+    tags: ['hardware'],
+    order: 40
+  },
+  {
+    name: 'Positive sentiment',
+    matchType: 'word',
+    patterns: ['great', 'awesome', 'love*', 'excellent', 'amazing'],
+    localizedPatterns: {
+      de: ['toll*', 'super', 'großartig*', 'ausgezeichnet*', 'hervorragend*'],
+      es: ['excelente', 'genial', 'encanta*', 'increíble', 'fantástic*'],
+      fr: ['génial*', 'excellent*', 'adore*', 'super', 'formidable', 'incroyable']
+    },
+    tags: ['positive'],
+    order: 50
+  },
+  {
+    name: 'Negative sentiment',
+    matchType: 'word',
+    patterns: ['problem*', 'difficult', 'hate*', 'terrible', 'useless'],
+    localizedPatterns: {
+      de: ['schwierig*', 'hasse*', 'schrecklich*', 'nutzlos*', 'furchtbar*'],
+      es: ['difícil', 'dificil', 'odio', 'horrible', 'inútil', 'inutil'],
+      fr: ['difficile*', 'déteste*', 'horrible*', 'nul', 'nulle', 'inutile*']
+    },
+    tags: ['negative'],
+    priority: 'high',
+    order: 60
+  }
+];
+
+// Tags the original hard-coded tagger produced, treated as automatic on
+// feedback saved before rules existed
+const LEGACY_AUTO_TAGS = ['bug-report', 'feature-request', 'mobile-app', 'hardware', 'positive', 'negative'];
+
+const WORD_START = '(?<![\\p{L}\\p{N}_])';
+const WORD_END = '(?![\\p{L}\\p{N}_])';
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const wordPattern = (word) => escapeRegex(word).replace(/\\\*$/, '[\\p{L}\\p{N}]*');
+
+// Keywords a rule adds for one language (localizedPatterns is a Map on
+// documents and a plain object on lean results and request bodies)
+const localizedPatternsFor = (rule, language) => {
+  const localized = rule.localizedPatterns;
+  if (!localized || !language) return [];
+  return (localized instanceof Map ? localized.get(language) : localized[language]) || [];
+};
+
+// Languages a rule has extra keywords for
+const ruleLanguages = (rule) => {
+  const localized = rule.localizedPatterns;
+  if (!localized) return [];
+  return localized instanceof Map ? [...localized.keys()] : Object.keys(localized);
+};
+
+// Build the RegExp for a rule, including the keywords for `language`;
+// throws on an invalid regex pattern
+const compileRule = (rule, language = null) => {
+  const patterns = [...rule.patterns, ...localizedPatternsFor(rule, language)];
+  let source;
+
+  if (rule.matchType === 'regex') {
+    source = patterns.map(pattern => `(?:${pattern})`).join('|');
+  } else if (rule.matchType === 'phrase') {
+    const phrases = patterns.map(phrase => phrase.trim().split(/\s+/).map(escapeRegex).join('\\s+'));
+    source = `${WORD_START}(?:${phrases.join('|')})${WORD_END}`;
+  } else {
+    source = `${WORD_START}(?:${patterns.map(wordPattern).join('|')})${WORD_END}`;
+  }
+
+  return new RegExp(source, 'iu');
+};
+
+// Compiled matcher for a rule and language; cached rules carry one per language
+const matcherFor = (rule, language) => {
+  if (!rule.matchers) return compileRule(rule, language);
+  return rule.matchers.get(language) || rule.matchers.get(null);
+};
+
+const higherPriority = (current, candidate) => {
+  if (!candidate) return current;
+  if (!current) return candidate;
+  return PRIORITY_ORDER.indexOf(candidate) > PRIORITY_ORDER.indexOf(current) ? candidate : current;
+};
+
+let cachedRules = null;
+
+// Active rules with compiled matchers, cached until invalidateRules()
+const getActiveRules = async () => {
+  if (!cachedRules) {
+    const rules = await TaggingRule.find({ isActive: true }).sort({ order: 1, name: 1 }).lean();
+    cachedRules = rules.flatMap(rule => {
+      try {
+        const matchers = new Map([[null, compileRule(rule)]]);
+        ruleLanguages(rule).forEach(language => matchers.set(language, compileRule(rule, language)));
+        return [{ ...rule, matchers }];
+      } catch (error) {
+        console.error(`🏷️  Skipping tagging rule "${rule.name}": ${error.message}`);
+        return [];
+      }
+    });
+  }
+  return cachedRules;
+};
+
+const invalidateRules = () => {
+  cachedRules = null;
+};
+
+// Run rules against a message written in `language` (null if unknown)
+// Returns the tags to add, the highest priority any rule asks for and which rules matched
+const evaluateMessage = (message, rules, language = null) => {
+  const tags = [];
+  let priority = null;
+  const matches = [];
+
+  rules.forEach(rule => {
+    const matcher = matcherFor(rule, language);
+    const match = matcher.exec(message || '');
+    if (!match) return;
+
+    tags.push(...rule.tags);
+    priority = higherPriority(priority, rule.priority);
+    matches.push({
+      rule: rule.name,
+      ruleId: rule._id,
+      matched: match[0],
+      tags: rule.tags,
+      priority: rule.priority || null
+    });
+  });
+
+  return { tags: [...new Set(tags)], priority, matches };
+};
+
+// Tag a message with the active rules
+const tagMessage = async (message, language = null) => evaluateMessage(message, await getActiveRules(), language);
+
+// Give default rules created before language-specific keywords existed the
+// default ones; rules whose keywords have been set (even to none) are left alone
+const addDefaultLocalizedPatterns = async () => {
+  const results = await Promise.all(DEFAULT_RULES.map(rule => TaggingRule.updateOne(
+    { name: rule.name, localizedPatterns: { $exists: false } },
+    { $set: { localizedPatterns: rule.localizedPatterns } }
+  )));
+  const updated = results.reduce((total, result) => total + result.modifiedCount, 0);
+  if (updated > 0) {
+    invalidateRules();
+    console.log(`🏷️  Added language-specific keywords to ${updated} default tagging rule(s)`);
+  }
+  return updated;
+};
+
+// Insert the default rules when the collection is empty (first start)
+const seedDefaultRules = async () => {
+  const count = await TaggingRule.estimatedDocumentCount();
+  if (count > 0) {
+    await addDefaultLocalizedPatterns();
+    return 0;
+  }
+
+  await TaggingRule.insertMany(DEFAULT_RULES.map(rule => ({ ...rule, updatedBy: 'system' })));
+  invalidateRules();
+  console.log(`🏷️  Seeded ${DEFAULT_RULES.length} default tagging rules`);
+  return DEFAULT_RULES.length;
+};
+
+module.exports = {
+  PRIORITY_ORDER,
+  LEGACY_AUTO_TAGS,
+  compileRule,
+  ruleLanguages,
+  higherPriority,
+  evaluateMessage,
+  getActiveRules,
+  invalidateRules,
+  tagMessage,
+  seedDefaultRules
+};
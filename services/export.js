@@ -0,0 +1,93 @@
+const { once } = require('events');
+
+// Streaming export helpers
+// Rows are written one at a time from an async iterable (e.g. a mongoose
+// cursor), waiting for 'drain' so the collection is never buffered in memory
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+// Read a dotted path such as "response.message" from a plain object
+const getPath = (doc, path) => path.split('.').reduce(
+  (value, key) => (value === undefined || value === null ? undefined : value[key]),
+  doc
+);
+
+const toPlainValue = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (value && typeof value === 'object' && value._bsontype === 'ObjectId') return value.toString();
+  return value;
+};
+
+// Quote a CSV field when needed and neutralise spreadsheet formulas
+const escapeCsv = (value) => {
+  if (value === undefined || value === null) return '';
+
+  const plain = Array.isArray(value) ? value.map(toPlainValue) : toPlainValue(value);
+  let text = Array.isArray(plain) ? plain.join(';') : String(plain);
+  // Only text can be taken for a formula; numbers such as -3 are written as they are
+  const startsWithText = typeof (Array.isArray(plain) ? plain[0] : plain) === 'string';
+  if (startsWithText && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text) || text !== text.trim()) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+const toCsvRow = (values) => `${values.map(escapeCsv).join(',')}\r\n`;
+
+// Pick the requested columns from a document; "id" maps to _id
+const pickColumns = (doc, columns) => Object.fromEntries(columns.map(column => {
+  const value = getPath(doc, column === 'id' ? '_id' : column);
+  return [column, Array.isArray(value) ? value.map(toPlainValue) : toPlainValue(value)];
+}));
+
+const write = async (stream, chunk) => {
+  if (!stream.write(chunk)) {
+    await once(stream, 'drain');
+  }
+};
+
+// Write every document from `source` to `stream` in the given format
+// Returns the number of rows written
+const writeExport = async (stream, source, { format, columns }) => {
+  let count = 0;
+
+  if (format === 'csv') {
+    // BOM so spreadsheet apps detect UTF-8
+    await write(stream, `\uFEFF${toCsvRow(columns)}`);
+  } else if (format === 'json') {
+    await write(stream, '[');
+  }
+
+  for await (const doc of source) {
+    const row = pickColumns(doc, columns);
+
+    if (format === 'csv') {
+      await write(stream, toCsvRow(columns.map(column => row[column])));
+    } else if (format === 'json') {
+      await write(stream, `${count > 0 ? ',' : ''}\n${JSON.stringify(row)}`);
+    } else {
+      await write(stream, `${JSON.stringify(row)}\n`);
+    }
+    count += 1;
+  }
+
+  if (format === 'json') {
+    await write(stream, count > 0 ? '\n]\n' : ']\n');
+  }
+
+  return count;
+};
+
+module.exports = {
+  FORMATS,
+  escapeCsv,
+  toCsvRow,
+  writeExport
+};
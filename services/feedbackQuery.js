@@ -0,0 +1,83 @@
+const Feedback = require('../models/Feedback');
+
+// Translate validated list parameters into a MongoDB filter and sort
+// Shared by every route that lists feedback so filters behave the same everywhere
+
+// Fields a client may sort by; `relevance` is only valid together with `q`
+// `votes` ("top requested") sorts by net votes
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'rating', 'name', 'votes', 'relevance'];
+
+// Sort parameters that map to a different document path
+const SORT_PATHS = { votes: 'votes.score' };
+
+const buildFeedbackFilter = (params) => {
+  const filter = {};
+
+  if (params.status) filter.status = params.status;
+  if (params.priority) filter.priority = params.priority;
+  if (params.moderationStatus) filter['moderation.status'] = params.moderationStatus;
+
+  if (params.q) {
+    filter.$text = { $search: params.q };
+  }
+
+  if (params.tags && params.tags.length > 0) {
+    filter.tags = params.tagMode === 'all'
+      ? { $all: params.tags }
+      : { $in: params.tags };
+  }
+
+  if (params.minRating !== undefined || params.maxRating !== undefined) {
+    filter.rating = {};
+    if (params.minRating !== undefined) filter.rating.$gte = params.minRating;
+    if (params.maxRating !== undefined) filter.rating.$lte = params.maxRating;
+  }
+
+  if (params.from || params.to) {
+    filter.createdAt = {};
+    if (params.from) filter.createdAt.$gte = params.from;
+    if (params.to) filter.createdAt.$lte = params.to;
+  }
+
+  // Public listings never include hidden, archived or unapproved feedback;
+  // kept under $and so no other parameter can widen it
+  if (params.publicOnly) {
+    filter.$and = [Feedback.publicFilter()];
+  }
+
+  // Device diagnostics (see the device block on Feedback)
+  if (params.deviceId) filter['device.deviceId'] = params.deviceId;
+  if (params.firmwareVersion) filter['device.firmwareVersion'] = params.firmwareVersion;
+  if (params.appVersion) filter['device.appVersion'] = params.appVersion;
+  if (params.platform) filter['device.platform'] = params.platform;
+  if (params.errorCode) filter['device.errorCodes'] = params.errorCode;
+  if (params.hasDevice !== undefined) filter.device = { $exists: params.hasDevice };
+
+  if (params.language) filter.language = params.language;
+
+  if (params.hasResponse === true) {
+    filter['response.message'] = { $exists: true, $ne: null };
+  } else if (params.hasResponse === false) {
+    filter['response.message'] = { $in: [null, ''] };
+  }
+
+  return filter;
+};
+
+// Sort specification; _id breaks ties so page boundaries are stable
+const buildFeedbackSort = (params) => {
+  const direction = params.order === 'asc' ? 1 : -1;
+  const field = params.sort || (params.q ? 'relevance' : 'createdAt');
+
+  if (field === 'relevance') {
+    return { score: { $meta: 'textScore' }, _id: -1 };
+  }
+
+  return { [SORT_PATHS[field] || field]: direction, _id: direction };
+};
+
+module.exports = {
+  SORT_FIELDS,
+  buildFeedbackFilter,
+  buildFeedbackSort
+};
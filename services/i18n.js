@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+
+// Translations of API messages
+// Messages are written in English in the code and looked up by their English
+// text in locales/<language>.json, so a missing translation falls back to
+// English. A catalog also holds the language's generic Joi messages and the
+// common words used to recognise the language in submitted text
+// Placeholders use {{name}}, as in the email templates
+
+const LOCALE_DIR = path.join(__dirname, '..', 'locales');
+const DEFAULT_LOCALE = 'en';
+
+const catalogs = fs.readdirSync(LOCALE_DIR)
+  .filter(fileName => fileName.endsWith('.json'))
+  .reduce((loaded, fileName) => {
+    const catalog = JSON.parse(fs.readFileSync(path.join(LOCALE_DIR, fileName), 'utf8'));
+    loaded[path.basename(fileName, '.json')] = {
+      name: catalog.name,
+      messages: catalog.messages || {},
+      validation: catalog.validation || {},
+      stopwords: new Set(catalog.stopwords || [])
+    };
+    return loaded;
+  }, {});
+
+// The default locale first, so it wins when Accept-Language has no preference
+const SUPPORTED_LOCALES = [DEFAULT_LOCALE, ...Object.keys(catalogs).filter(code => code !== DEFAULT_LOCALE).sort()];
+
+// Primary language subtag of a tag like "pt-BR" or "es_MX", or null if it is not a language tag
+const normalizeLanguage = (value) => {
+  if (typeof value !== 'string') return null;
+  const match = /^([a-z]{2,3})(?:[-_][a-z0-9]{1,8})*$/i.exec(value.trim());
+  return match ? match[1].toLowerCase() : null;
+};
+
+const isSupportedLocale = (locale) => SUPPORTED_LOCALES.includes(locale);
+
+const formatMessage = (template, params = {}) => String(template).replace(
+  /\{\{\s*(\w+)\s*\}\}/g,
+  (match, key) => (params[key] === undefined || params[key] === null ? '' : String(params[key]))
+);
+
+// Translate an English message (untranslated messages are returned in English)
+const translate = (locale, message, params) => {
+  const catalog = catalogs[locale];
+  const template = (catalog && catalog.messages[message]) || message;
+  return formatMessage(template, params);
+};
+
+// Response locale: an explicit `lang` wins, then the Accept-Language match, then English
+// `accepted` is the best supported match for the Accept-Language header (or false)
+const negotiateLocale = (requested, accepted) => {
+  const language = normalizeLanguage(requested);
+  if (isSupportedLocale(language)) return language;
+  return isSupportedLocale(accepted) ? accepted : DEFAULT_LOCALE;
+};
+
+// Add translations to a Joi .messages() map
+// Joi picks the messages for the validation language (see joiOptions) and
+// falls back to the English ones
+const localizeMessages = (messages) => SUPPORTED_LOCALES
+  .filter(locale => locale !== DEFAULT_LOCALE)
+  .reduce((localized, locale) => {
+    const translated = {};
+    Object.entries(messages).forEach(([code, message]) => {
+      if (catalogs[locale].messages[message]) translated[code] = catalogs[locale].messages[message];
+    });
+    if (Object.keys(translated).length > 0) localized[locale] = translated;
+    return localized;
+  }, { ...messages });
+
+// Generic Joi messages ("{#label} must be a number"), by language
+const JOI_MESSAGES = SUPPORTED_LOCALES.reduce((messages, locale) => {
+  if (Object.keys(catalogs[locale].validation).length > 0) {
+    messages[locale] = catalogs[locale].validation;
+  }
+  return messages;
+}, {});
+
+// Options for schema.validate() that report errors in the request's language
+const joiOptions = (locale, options = {}) => ({
+  ...options,
+  messages: JOI_MESSAGES,
+  errors: { ...options.errors, language: locale }
+});
+
+// Minimum number of common words before a text is attributed to a language
+const MIN_DETECTION_HITS = 2;
+
+// Guess the language of a text from how many of each language's common words it uses
+// Returns null for short or ambiguous texts
+const detectLanguage = (text) => {
+  const words = String(text || '').toLowerCase().match(/\p{L}+/gu) || [];
+  if (words.length < 3) return null;
+
+  const scores = SUPPORTED_LOCALES
+    .map(locale => ({
+      locale,
+      hits: words.filter(word => catalogs[locale].stopwords.has(word)).length
+    }))
+    .sort((a, b) => b.hits - a.hits);
+
+  const [best, runnerUp] = scores;
+  if (best.hits < MIN_DETECTION_HITS || (runnerUp && runnerUp.hits === best.hits)) return null;
+  return best.locale;
+};
+
+// Supported languages and their names, e.g. [{ code: 'es', name: 'Español' }]
+const getLanguages = () => SUPPORTED_LOCALES.map(code => ({ code, name: catalogs[code].name }));
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  normalizeLanguage,
+  isSupportedLocale,
+  formatMessage,
+  translate,
+  negotiateLocale,
+  localizeMessages,
+  joiOptions,
+  detectLanguage,
+  getLanguages
+};
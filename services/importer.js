@@ -0,0 +1,258 @@
+const Feedback = require('../models/Feedback');
+const { importRowValidation } = require('../validation/feedback');
+const { normalizeLanguage, formatMessage } = require('./i18n');
+const { fingerprintMessage } = require('./spam');
+
+// Bulk import of historical feedback (paper forms, old Google Form exports)
+// Every row is validated on its own; bad rows are reported, never fatal
+
+const MAX_IMPORT_ROWS = 5000;
+
+// Header aliases, compared after lowercasing and stripping non-letters
+const COLUMN_ALIASES = {
+  name: 'name',
+  fullname: 'name',
+  yourname: 'name',
+  email: 'email',
+  emailaddress: 'email',
+  contactnumber: 'contactNumber',
+  phone: 'contactNumber',
+  phonenumber: 'contactNumber',
+  mobilenumber: 'contactNumber',
+  message: 'message',
+  feedback: 'message',
+  comments: 'message',
+  yourfeedback: 'message',
+  rating: 'rating',
+  stars: 'rating',
+  createdat: 'createdAt',
+  timestamp: 'createdAt',
+  date: 'createdAt',
+  submittedat: 'createdAt',
+  status: 'status',
+  ispublic: 'isPublic',
+  tags: 'tags',
+  lang: 'lang',
+  language: 'lang'
+};
+
+// Like AttachmentError, keeps the untranslated message for localized responses
+class ImportFormatError extends Error {
+  constructor(message, params = {}) {
+    super(formatMessage(message, params));
+    this.name = 'ImportFormatError';
+    this.status = 400;
+    this.template = message;
+    this.params = params;
+  }
+}
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes, embedded newlines
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new ImportFormatError('CSV has an unterminated quoted field');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Ignore blank lines
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+const normalizeHeader = (header) => {
+  const key = header.toLowerCase().replace(/[^a-z]/g, '');
+  return COLUMN_ALIASES[key] || null;
+};
+
+// Map a raw record onto feedback fields, dropping unknown columns and blanks
+const normalizeRecord = (record) => {
+  const normalized = {};
+  Object.entries(record).forEach(([key, value]) => {
+    const field = normalizeHeader(key);
+    if (!field || value === undefined || value === null) return;
+    if (typeof value === 'string' && value.trim() === '') return;
+    normalized[field] = typeof value === 'string' ? value.trim() : value;
+  });
+  return normalized;
+};
+
+// Turn an uploaded CSV string or JSON array into plain records
+const parseImport = (content, format) => {
+  let records;
+
+  if (format === 'csv') {
+    const [headers, ...rows] = parseCsv(String(content));
+    if (!headers) {
+      throw new ImportFormatError('CSV is empty');
+    }
+    records = rows.map(cells => Object.fromEntries(
+      headers.map((header, index) => [header, cells[index]])
+    ));
+  } else if (format === 'json') {
+    try {
+      records = typeof content === 'string' ? JSON.parse(content) : content;
+    } catch (error) {
+      throw new ImportFormatError('Invalid JSON: {{reason}}', { reason: error.message });
+    }
+    if (records && !Array.isArray(records) && Array.isArray(records.rows)) {
+      records = records.rows;
+    }
+    if (!Array.isArray(records)) {
+      throw new ImportFormatError('JSON imports must be an array of feedback objects');
+    }
+  } else {
+    throw new ImportFormatError('Unsupported import format "{{format}}". Use csv or json', { format });
+  }
+
+  if (records.length > MAX_IMPORT_ROWS) {
+    throw new ImportFormatError('Imports are limited to {{max}} rows per batch', { max: MAX_IMPORT_ROWS });
+  }
+
+  return records;
+};
+
+// Query for feedback a row would duplicate, so re-running an import skips it
+// (and does not bring back trashed feedback). Rows with a timestamp match on
+// it; rows without one get the import time, so they match on email and the
+// message fingerprint (see services/spam) instead, or the exact message for
+// rows imported before fingerprints were stored
+const duplicateFilter = (row, fingerprint) => {
+  const email = row.email.toLowerCase();
+  if (row.createdAt) return { email, message: row.message.trim(), createdAt: row.createdAt };
+  return { email, $or: [{ 'spam.fingerprint': fingerprint }, { message: row.message.trim() }] };
+};
+
+// Validate and insert records one by one
+// Returns a report with per-row errors; nothing is written when dryRun is set
+const importFeedback = async (records, { dryRun = false, source = 'import' } = {}) => {
+  const report = {
+    dryRun,
+    total: records.length,
+    imported: 0,
+    skipped: 0,
+    failed: 0,
+    rows: []
+  };
+
+  for (let index = 0; index < records.length; index++) {
+    // Row numbers are 1-based data rows (the CSV header is not counted)
+    const rowNumber = index + 1;
+    const record = records[index];
+
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      report.failed += 1;
+      report.rows.push({ row: rowNumber, status: 'failed', errors: ['Row must be an object'] });
+      continue;
+    }
+
+    const { error, value } = importRowValidation.validate(normalizeRecord(record), {
+      abortEarly: false,
+      stripUnknown: true
+    });
+    if (error) {
+      report.failed += 1;
+      report.rows.push({
+        row: rowNumber,
+        status: 'failed',
+        errors: error.details.map(detail => detail.message)
+      });
+      continue;
+    }
+
+    try {
+      const createdAt = value.createdAt || new Date();
+      const fingerprint = fingerprintMessage(value.message);
+
+      const duplicate = await Feedback.exists(duplicateFilter(value, fingerprint))
+        .setOptions({ withDeleted: true });
+      if (duplicate) {
+        report.skipped += 1;
+        report.rows.push({ row: rowNumber, status: 'skipped', reason: 'Already imported', id: duplicate._id });
+        continue;
+      }
+
+      // Rows without a `lang` column get the detected language (see the Feedback model)
+      const { lang, ...row } = value;
+      const feedback = new Feedback({
+        ...row,
+        language: normalizeLanguage(lang) || undefined,
+        source,
+        spam: { fingerprint },
+        createdAt,
+        updatedAt: createdAt
+      });
+
+      if (dryRun) {
+        await feedback.validate();
+        await feedback.applyAutoTags();
+      } else {
+        // timestamps: false keeps the original createdAt/updatedAt
+        await feedback.save({ timestamps: false });
+      }
+
+      report.imported += 1;
+      report.rows.push({
+        row: rowNumber,
+        status: dryRun ? 'valid' : 'imported',
+        id: dryRun ? undefined : feedback._id,
+        tags: feedback.tags,
+        priority: feedback.priority
+      });
+    } catch (saveError) {
+      report.failed += 1;
+      report.rows.push({
+        row: rowNumber,
+        status: 'failed',
+        errors: saveError.errors
+          ? Object.values(saveError.errors).map(err => err.message)
+          : [saveError.message]
+      });
+    }
+  }
+
+  return report;
+};
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  ImportFormatError,
+  parseCsv,
+  parseImport,
+  importFeedback
+};
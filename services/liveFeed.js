@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+// In-process feed of feedback changes for the admin live stream (SSE)
+// Recent events are kept in a ring buffer so reconnecting clients can resume
+// from their Last-Event-ID. Event ids are "<bootId>-<sequence>"; an id from
+// a previous process (or one that fell out of the buffer) cannot be resumed
+
+const BUFFER_SIZE = 500;
+const LIVE_EVENTS = ['feedback.created', 'feedback.updated', 'feedback.deleted'];
+
+const bootId = crypto.randomBytes(4).toString('hex');
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const buffer = [];
+let sequence = 0;
+
+// Full admin view of the feedback, minus network details
+const serializeFeedback = (feedback) => {
+  const data = typeof feedback.toJSON === 'function' ? feedback.toJSON() : { ...feedback };
+  delete data.ipAddress;
+  delete data.userAgent;
+  delete data.__v;
+  return data;
+};
+
+// Record and broadcast an event; never throws
+const publishFeedbackEvent = (type, feedback, extra = {}) => {
+  try {
+    sequence += 1;
+    const event = {
+      id: `${bootId}-${sequence}`,
+      sequence,
+      type,
+      data: {
+        feedback: serializeFeedback(feedback),
+        ...extra,
+        at: new Date().toISOString()
+      }
+    };
+
+    buffer.push(event);
+    if (buffer.length > BUFFER_SIZE) buffer.shift();
+    emitter.emit('event', event);
+  } catch (error) {
+    console.error(`📡 Failed to publish live event ${type}:`, error.message);
+  }
+};
+
+// Events after `lastEventId`, or null when they can no longer be replayed
+const eventsSince = (lastEventId) => {
+  const [boot, seq] = String(lastEventId).split('-');
+  const after = parseInt(seq);
+  if (boot !== bootId || Number.isNaN(after)) return null;
+
+  const oldest = buffer.length > 0 ? buffer[0].sequence : sequence + 1;
+  if (after < oldest - 1) return null;
+
+  return buffer.filter(event => event.sequence > after);
+};
+
+// Returns an unsubscribe function
+const subscribe = (listener) => {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+};
+
+// Server-side stream filters (all optional); tags use tagMode any|all
+const matchesFilters = (event, { status, priority, tags = [], tagMode = 'any' }) => {
+  const { feedback } = event.data;
+  if (status && feedback.status !== status) return false;
+  if (priority && feedback.priority !== priority) return false;
+  if (tags.length > 0) {
+    const feedbackTags = feedback.tags || [];
+    const test = tag => feedbackTags.includes(tag);
+    if (tagMode === 'all' ? !tags.every(test) : !tags.some(test)) return false;
+  }
+  return true;
+};
+
+const getSubscriberCount = () => emitter.listenerCount('event');
+
+module.exports = {
+  LIVE_EVENTS,
+  publishFeedbackEvent,
+  eventsSince,
+  subscribe,
+  matchesFilters,
+  getSubscriberCount
+};
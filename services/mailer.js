@@ -0,0 +1,82 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+// Pluggable mail transport
+// MAIL_TRANSPORT selects how messages leave the server:
+//   smtp    - deliver through SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS
+//   file    - write each message as JSON into MAIL_OUTBOX_DIR (local dev and tests)
+//   console - print messages to the server log (default outside production)
+
+const transports = {
+  smtp: () => {
+    const transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587'),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+
+    return async (mail) => {
+      const info = await transporter.sendMail(mail);
+      return { messageId: info.messageId };
+    };
+  },
+
+  file: () => {
+    const outboxDir = path.resolve(process.env.MAIL_OUTBOX_DIR || 'outbox');
+
+    return async (mail) => {
+      const messageId = `<${crypto.randomUUID()}@buzzguard.local>`;
+      await fs.mkdir(outboxDir, { recursive: true });
+      const fileName = `${Date.now()}-${messageId.slice(1, 9)}.json`;
+      await fs.writeFile(
+        path.join(outboxDir, fileName),
+        JSON.stringify({ messageId, ...mail, sentAt: new Date().toISOString() }, null, 2)
+      );
+      return { messageId };
+    };
+  },
+
+  console: () => async (mail) => {
+    const messageId = `<${crypto.randomUUID()}@buzzguard.local>`;
+    console.log(`📧 [mail] To: ${mail.to} | Subject: ${mail.subject}\n${mail.text}`);
+    return { messageId };
+  }
+};
+
+let activeTransport = null;
+
+const getTransportName = () => {
+  const name = process.env.MAIL_TRANSPORT
+    || (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+
+  if (!transports[name]) {
+    throw new Error(`Unknown MAIL_TRANSPORT "${name}". Use one of: ${Object.keys(transports).join(', ')}`);
+  }
+  return name;
+};
+
+// Send a message through the configured transport
+// Resolves to { transport, messageId }; rejects if delivery fails
+const sendMail = async ({ to, subject, text, html }) => {
+  const name = getTransportName();
+  if (!activeTransport || activeTransport.name !== name) {
+    activeTransport = { name, send: transports[name]() };
+  }
+
+  const result = await activeTransport.send({
+    from: process.env.MAIL_FROM || 'BuzzGuard Team <no-reply@buzzguard.app>',
+    to,
+    subject,
+    text,
+    html
+  });
+
+  return { transport: name, messageId: result.messageId };
+};
+
+module.exports = { sendMail, getTransportName };
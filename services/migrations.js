@@ -0,0 +1,256 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const Migration = require('../models/Migration');
+const MigrationLock = require('../models/MigrationLock');
+
+// Versioned database migrations
+// Each file in migrations/ is named NNN-description.js and exports
+// { description, up, down }. up and down receive { db, dryRun, log }: `db` is
+// the native database (so old migrations keep working when models change) and
+// with dryRun they only report what they would change. Migrations without a
+// down cannot be reverted. Applied migrations are recorded in the migrations
+// collection; a lock document keeps two instances from running them at once
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^(\d+)-[\w-]+\.js$/;
+const LOCK_ID = 'migrations';
+const LOCK_TTL_MS = parseInt(process.env.MIGRATION_LOCK_TTL_MS || String(15 * 60 * 1000));
+
+class MigrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MigrationError';
+  }
+}
+
+// Migration files in number order
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+  const migrations = fs.readdirSync(dir)
+    .filter(fileName => MIGRATION_FILE.test(fileName))
+    .map(fileName => {
+      const migration = require(path.join(dir, fileName));
+      if (typeof migration.up !== 'function') {
+        throw new MigrationError(`Migration ${fileName} does not export an up() function`);
+      }
+      return {
+        name: path.basename(fileName, '.js'),
+        number: parseInt(MIGRATION_FILE.exec(fileName)[1]),
+        description: migration.description || '',
+        up: migration.up,
+        down: typeof migration.down === 'function' ? migration.down : null
+      };
+    })
+    .sort((a, b) => a.number - b.number);
+
+  migrations.forEach((migration, index) => {
+    const previous = migrations[index - 1];
+    if (previous && previous.number === migration.number) {
+      throw new MigrationError(`Migrations ${previous.name} and ${migration.name} have the same number`);
+    }
+  });
+
+  return migrations;
+};
+
+// "--to=3", "--to=003" and "--to=003-default-ratings" all name migration 3
+const findTarget = (migrations, target) => {
+  const match = migrations.find(migration => migration.name === target || migration.number === parseInt(target));
+  if (!match) throw new MigrationError(`Unknown migration "${target}"`);
+  return match;
+};
+
+const lockHolder = () => `${os.hostname()}:${process.pid}`;
+
+const acquireLock = async () => {
+  const now = new Date();
+  const holder = lockHolder();
+  try {
+    // Matches only an expired lock; otherwise the upsert collides with the held one
+    await MigrationLock.findOneAndUpdate(
+      { _id: LOCK_ID, expiresAt: { $lte: now } },
+      { $set: { holder, acquiredAt: now, expiresAt: new Date(now.getTime() + LOCK_TTL_MS) } },
+      { upsert: true }
+    );
+    return holder;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    const lock = await MigrationLock.findById(LOCK_ID).lean();
+    throw new MigrationError(lock
+      ? `Migrations are already running (locked by ${lock.holder} since ${lock.acquiredAt.toISOString()}, expires ${lock.expiresAt.toISOString()})`
+      : 'Migrations are already running');
+  }
+};
+
+// Long runs renew the lock between migrations so it does not expire under them
+// If it already has (and another run may have taken over) or was removed with
+// `unlock`, stop rather than run the next migration alongside someone else
+const renewLock = async (holder) => {
+  const result = await MigrationLock.updateOne(
+    { _id: LOCK_ID, holder },
+    { $set: { expiresAt: new Date(Date.now() + LOCK_TTL_MS) } }
+  );
+  if (result.matchedCount === 0) {
+    throw new MigrationError('Lost the migration lock (it expired or was removed); stopped before the next migration');
+  }
+};
+
+const releaseLock = (holder) => MigrationLock.deleteOne({ _id: LOCK_ID, holder });
+
+// Remove a lock left by a process that died mid-run without waiting for it to expire
+const forceUnlock = async () => {
+  const result = await MigrationLock.deleteOne({ _id: LOCK_ID });
+  return result.deletedCount > 0;
+};
+
+const withLock = async (dryRun, task) => {
+  // Dry runs write nothing, so they do not need (or block) the lock
+  if (dryRun) return task(() => Promise.resolve());
+
+  const holder = await acquireLock();
+  try {
+    return await task(() => renewLock(holder));
+  } finally {
+    await releaseLock(holder);
+  }
+};
+
+const runStep = async (migration, direction, { dryRun, log }) => {
+  const started = Date.now();
+  const result = await migration[direction]({ db: mongoose.connection.db, dryRun, log });
+  return {
+    name: migration.name,
+    description: migration.description,
+    result: result === undefined ? null : result,
+    durationMs: Date.now() - started
+  };
+};
+
+// Every migration file and whether it has been applied, plus applied
+// migrations whose file no longer exists
+const getMigrationStatus = async () => {
+  const migrations = loadMigrations();
+  const applied = await Migration.find().sort({ name: 1 }).lean();
+  const appliedByName = new Map(applied.map(record => [record.name, record]));
+
+  return [
+    ...migrations.map(migration => ({
+      name: migration.name,
+      description: migration.description,
+      applied: appliedByName.has(migration.name),
+      appliedAt: appliedByName.has(migration.name) ? appliedByName.get(migration.name).appliedAt : null,
+      reversible: Boolean(migration.down)
+    })),
+    ...applied
+      .filter(record => !migrations.some(migration => migration.name === record.name))
+      .map(record => ({
+        name: record.name,
+        description: record.description,
+        applied: true,
+        appliedAt: record.appliedAt,
+        reversible: false,
+        missing: true
+      }))
+  ];
+};
+
+const getPendingMigrations = async () => {
+  const migrations = loadMigrations();
+  const applied = new Set((await Migration.find().select('name').lean()).map(record => record.name));
+  return migrations.filter(migration => !applied.has(migration.name));
+};
+
+// Apply pending migrations in order, up to and including `to`
+// Stops at the first failure; migrations before it stay applied
+const migrateUp = async ({ to, dryRun = false, log = console.log } = {}) => withLock(dryRun, async (renew) => {
+  let pending = await getPendingMigrations();
+  if (to) {
+    const target = findTarget(loadMigrations(), to);
+    pending = pending.filter(migration => migration.number <= target.number);
+  }
+
+  const results = [];
+  for (const migration of pending) {
+    log(`${dryRun ? '🔍' : '⬆️ '} ${migration.name}: ${migration.description}`);
+    const step = await runStep(migration, 'up', { dryRun, log });
+    if (!dryRun) {
+      await Migration.create({
+        name: step.name,
+        description: step.description,
+        durationMs: step.durationMs,
+        result: step.result
+      });
+      await renew();
+    }
+    results.push(step);
+  }
+  return results;
+});
+
+// Revert the last `steps` applied migrations (or every one after `to`), newest first
+const migrateDown = async ({ steps = 1, to, dryRun = false, log = console.log } = {}) => withLock(dryRun, async (renew) => {
+  const migrations = loadMigrations();
+  const applied = await Migration.find().select('name').lean();
+  const appliedNames = new Set(applied.map(record => record.name));
+
+  const missing = applied.find(record => !migrations.some(migration => migration.name === record.name));
+  if (missing) {
+    throw new MigrationError(`Applied migration ${missing.name} has no file in migrations/`);
+  }
+
+  let toRevert = migrations.filter(migration => appliedNames.has(migration.name)).reverse();
+  if (to) {
+    const target = findTarget(migrations, to);
+    toRevert = toRevert.filter(migration => migration.number > target.number);
+  } else {
+    toRevert = toRevert.slice(0, steps);
+  }
+
+  const irreversible = toRevert.find(migration => !migration.down);
+  if (irreversible) {
+    throw new MigrationError(`Migration ${irreversible.name} cannot be reverted (it has no down)`);
+  }
+
+  const results = [];
+  for (const migration of toRevert) {
+    log(`${dryRun ? '🔍' : '⬇️ '} ${migration.name}: ${migration.description}`);
+    const step = await runStep(migration, 'down', { dryRun, log });
+    if (!dryRun) {
+      await Migration.deleteOne({ name: migration.name });
+      await renew();
+    }
+    results.push(step);
+  }
+  return results;
+});
+
+// On server start: apply pending migrations when MIGRATE_ON_START=true, otherwise
+// only warn about them. Never stops the server; another instance may hold the lock
+const runStartupMigrations = async () => {
+  try {
+    if (process.env.MIGRATE_ON_START === 'true') {
+      const results = await migrateUp();
+      if (results.length > 0) console.log(`🗃️  Applied ${results.length} migration(s)`);
+      return;
+    }
+
+    const pending = await getPendingMigrations();
+    if (pending.length > 0) {
+      console.warn(`⚠️  ${pending.length} pending migration(s): run "npm run migrate -- up" (or set MIGRATE_ON_START=true)`);
+    }
+  } catch (error) {
+    console.error('❌ Migrations did not run:', error.message);
+  }
+};
+
+module.exports = {
+  MigrationError,
+  loadMigrations,
+  getMigrationStatus,
+  getPendingMigrations,
+  migrateUp,
+  migrateDown,
+  forceUnlock,
+  runStartupMigrations
+};
@@ -0,0 +1,363 @@
+const fs = require('fs');
+const path = require('path');
+
+// OpenAPI 3 document built from the registered routes
+// Routes describe themselves with describeRoute(), passing the same Joi schemas
+// their handlers validate with. Authentication and roles are read from the
+// middleware in middleware/auth, and rate limits from express-rate-limit, so
+// the document, the root route and the 404 handler cannot drift from the code
+
+const DOCS_TEMPLATE = path.join(__dirname, '..', 'templates', 'docs.html');
+
+const SECURITY_SCHEMES = {
+  bearerAuth: {
+    type: 'http',
+    scheme: 'bearer',
+    bearerFormat: 'JWT',
+    description: 'Admin token from POST /api/auth/login'
+  },
+  deviceKey: {
+    type: 'apiKey',
+    in: 'header',
+    name: 'X-Device-Key',
+    description: 'Device key from /api/admin/device-keys'
+  },
+  ticket: {
+    type: 'apiKey',
+    in: 'query',
+    name: 'ticket',
+    description: 'Short-lived ticket for clients that cannot send an Authorization header'
+  }
+};
+
+const SCHEMAS = {
+  Success: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', example: true },
+      message: { type: 'string' },
+      data: {}
+    },
+    required: ['success']
+  },
+  Error: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean', example: false },
+      error: { type: 'string', description: 'Stable English label, e.g. "Validation Error"' },
+      message: { type: 'string', description: 'Explanation in the response language' },
+      details: { type: 'array', items: { type: 'string' } }
+    },
+    required: ['success', 'error', 'message']
+  }
+};
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+
+const RESPONSES = {
+  ValidationError: errorResponse('Invalid parameters or body'),
+  Unauthorized: errorResponse('Missing or invalid credentials'),
+  Forbidden: errorResponse('The account lacks the required role'),
+  NotFound: errorResponse('Not found'),
+  TooManyRequests: errorResponse('Rate limit exceeded')
+};
+
+// Attach OpenAPI details to a route; the middleware itself does nothing
+// doc: { summary, description, params, query, body (Joi schemas), multipart,
+// consumes, produces (content types), status (success code) }
+const describeRoute = (doc) => {
+  const middleware = (req, res, next) => next();
+  middleware.openapi = doc;
+  return middleware;
+};
+
+// Joi regex descriptions look like "/^[a-z]+$/i"
+const regexSource = (regex) => String(regex).replace(/^\/(.*)\/[a-z]*$/s, '$1');
+
+const RULE_KEYWORDS = {
+  string: { min: 'minLength', max: 'maxLength' },
+  number: { min: 'minimum', max: 'maximum', greater: 'exclusiveMinimum', less: 'exclusiveMaximum' },
+  array: { min: 'minItems', max: 'maxItems' },
+  object: { min: 'minProperties', max: 'maxProperties' }
+};
+
+// Convert a Joi description (schema.describe()) into a JSON schema
+const joiToSchema = (description) => {
+  const flags = description.flags || {};
+  const rules = description.rules || [];
+  const schema = {};
+
+  switch (description.type) {
+    case 'string':
+      schema.type = 'string';
+      rules.forEach(rule => {
+        if (rule.name === 'email') schema.format = 'email';
+        if (rule.name === 'uri') schema.format = 'uri';
+        if (rule.name === 'guid') schema.format = 'uuid';
+        if (rule.name === 'isoDate') schema.format = 'date-time';
+        if (rule.name === 'hex') schema.pattern = '^[0-9a-fA-F]*$';
+        if (rule.name === 'pattern' && !(rule.args.options && rule.args.options.invert)) schema.pattern = regexSource(rule.args.regex);
+        if (rule.name === 'length') {
+          schema.minLength = rule.args.limit;
+          schema.maxLength = rule.args.limit;
+        }
+      });
+      break;
+    case 'number':
+      schema.type = rules.some(rule => rule.name === 'integer') ? 'integer' : 'number';
+      break;
+    case 'boolean':
+      schema.type = 'boolean';
+      break;
+    case 'date':
+      schema.type = 'string';
+      schema.format = 'date-time';
+      break;
+    case 'binary':
+      schema.type = 'string';
+      schema.format = 'binary';
+      break;
+    case 'array':
+      schema.type = 'array';
+      if (description.items && description.items.length === 1) {
+        schema.items = joiToSchema(description.items[0]);
+      } else if (description.items && description.items.length > 1) {
+        schema.items = { oneOf: description.items.map(joiToSchema) };
+      } else {
+        schema.items = {};
+      }
+      if (rules.some(rule => rule.name === 'unique')) schema.uniqueItems = true;
+      break;
+    case 'object': {
+      schema.type = 'object';
+      const keys = Object.entries(description.keys || {})
+        .filter(([, key]) => (key.flags || {}).presence !== 'forbidden');
+      if (keys.length > 0) {
+        schema.properties = Object.fromEntries(keys.map(([name, key]) => [name, joiToSchema(key)]));
+        const required = keys
+          .filter(([, key]) => (key.flags || {}).presence === 'required')
+          .map(([name]) => name);
+        if (required.length > 0) schema.required = required;
+      }
+      if (description.patterns && description.patterns.length > 0) {
+        schema.additionalProperties = description.patterns[0].rule ? joiToSchema(description.patterns[0].rule) : true;
+      }
+      break;
+    }
+    case 'alternatives': {
+      const options = (description.matches || []).flatMap(match => (
+        match.schema ? [match.schema] : [match.then, match.otherwise].filter(Boolean)
+      ));
+      if (options.length > 0) schema.oneOf = options.map(joiToSchema);
+      break;
+    }
+    default:
+      break;
+  }
+
+  const keywords = RULE_KEYWORDS[description.type] || {};
+  rules.forEach(rule => {
+    const keyword = keywords[rule.name];
+    if (keyword && rule.args && typeof rule.args.limit === 'number') schema[keyword] = rule.args.limit;
+  });
+
+  if (flags.only && description.allow) {
+    schema.enum = description.allow.filter(value => value !== null && typeof value !== 'object');
+  }
+  if (description.allow && description.allow.includes(null)) schema.nullable = true;
+  if (flags.default !== undefined && typeof flags.default !== 'object' && typeof flags.default !== 'function') {
+    schema.default = flags.default;
+  }
+  if (flags.description) schema.description = flags.description;
+
+  return schema;
+};
+
+const describeJoi = (joiSchema) => (joiSchema ? joiToSchema(joiSchema.describe()) : null);
+
+// "/:id/attachments/:attachmentId" -> "/{id}/attachments/{attachmentId}"
+const toOpenApiPath = (routePath) => routePath.replace(/:(\w+)/g, '{$1}');
+
+const joinPath = (base, routePath) => {
+  const joined = `${base}${routePath === '/' ? '' : routePath}`;
+  return joined || '/';
+};
+
+// Authentication, role and rate limiting of a chain of middleware
+// (see the `auth` markers in middleware/auth)
+const readGuards = (handles) => handles.reduce((guards, handle) => {
+  if (handle.auth) {
+    guards.schemes = [...new Set([...guards.schemes, ...(handle.auth.schemes || [])])];
+    if (handle.auth.optional) guards.optional = true;
+    if (handle.auth.role) guards.role = handle.auth.role;
+  }
+  if (typeof handle.resetKey === 'function') guards.rateLimited = true;
+  return guards;
+}, { schemes: [], optional: false, role: null, rateLimited: false });
+
+// Every route of the mounted routers, in registration order
+// mounts: [{ path, router, tag }]; app-level routes can be listed with path ''
+const listRoutes = (mounts) => mounts.flatMap(({ path: base, router, tag }) => {
+  const routes = [];
+  let inherited = [];
+
+  (router.stack || []).forEach(layer => {
+    if (!layer.route) {
+      // router.use() middleware applies to the routes registered after it
+      if (layer.name !== 'router') inherited = [...inherited, layer.handle];
+      return;
+    }
+
+    const handles = [...inherited, ...layer.route.stack.map(routeLayer => routeLayer.handle)];
+    const documented = handles.find(handle => handle.openapi);
+    Object.keys(layer.route.methods)
+      .filter(method => method !== '_all')
+      .forEach(method => routes.push({
+        method: method.toUpperCase(),
+        path: joinPath(base, layer.route.path),
+        tag,
+        doc: documented ? documented.openapi : { summary: '' },
+        guards: readGuards(handles)
+      }));
+  });
+
+  return routes;
+});
+
+const ROLE_NOTES = {
+  viewer: 'viewer',
+  moderator: 'moderator',
+  admin: 'admin only'
+};
+
+// One-line summary with the role in brackets, as listed by the root route
+const routeSummary = (route) => {
+  const note = route.guards.role ? ROLE_NOTES[route.guards.role] : null;
+  return note ? `${route.doc.summary} (${note})` : route.doc.summary;
+};
+
+// { tag: { 'GET /api/feedback': 'Get ...' } }
+const groupEndpoints = (routes) => routes.reduce((groups, route) => {
+  groups[route.tag] = groups[route.tag] || {};
+  groups[route.tag][`${route.method} ${route.path}`] = routeSummary(route);
+  return groups;
+}, {});
+
+// Routes that need no credentials
+const publicRoutes = (routes) => routes
+  .filter(route => route.guards.schemes.length === 0 || route.guards.optional)
+  .map(route => `${route.method} ${route.path}`);
+
+const bodyContent = (doc, schema) => {
+  const content = {};
+  (doc.consumes || ['application/json']).forEach(type => {
+    content[type] = { schema: type.endsWith('json') ? schema || {} : { type: 'string' } };
+  });
+  if (doc.multipart) {
+    content['multipart/form-data'] = {
+      schema: {
+        ...schema,
+        properties: {
+          ...(schema && schema.properties),
+          attachments: { type: 'array', items: { type: 'string', format: 'binary' } }
+        }
+      }
+    };
+  }
+  return content;
+};
+
+const successContent = (doc) => Object.fromEntries((doc.produces || ['application/json']).map(type => [
+  type,
+  { schema: type === 'application/json' ? { $ref: '#/components/schemas/Success' } : { type: 'string' } }
+]));
+
+const buildOperation = (route) => {
+  const { doc, guards } = route;
+  const params = describeJoi(doc.params);
+  const query = describeJoi(doc.query);
+  const body = describeJoi(doc.body);
+
+  const pathNames = [...route.path.matchAll(/:(\w+)/g)].map(match => match[1]);
+  const parameters = [
+    ...pathNames.map(name => ({
+      name,
+      in: 'path',
+      required: true,
+      schema: (params && params.properties && params.properties[name]) || { type: 'string' }
+    })),
+    ...Object.entries((query && query.properties) || {}).map(([name, schema]) => ({
+      name,
+      in: 'query',
+      required: (query.required || []).includes(name),
+      ...(schema.description && { description: schema.description }),
+      schema
+    }))
+  ];
+
+  const operation = {
+    tags: [route.tag],
+    summary: doc.summary,
+    ...(doc.description && { description: doc.description }),
+    ...(parameters.length > 0 && { parameters }),
+    ...((body || doc.consumes) && { requestBody: { required: true, content: bodyContent(doc, body) } }),
+    responses: {
+      [doc.status || 200]: { description: 'Success', content: successContent(doc) }
+    }
+  };
+
+  if (params || query || body) operation.responses[400] = { $ref: '#/components/responses/ValidationError' };
+  if (guards.schemes.length > 0) {
+    operation.security = [
+      ...guards.schemes.map(scheme => ({ [scheme]: [] })),
+      ...(guards.optional ? [{}] : [])
+    ];
+    if (!guards.optional) operation.responses[401] = { $ref: '#/components/responses/Unauthorized' };
+  }
+  if (guards.role) {
+    operation['x-required-role'] = guards.role;
+    operation.responses[403] = { $ref: '#/components/responses/Forbidden' };
+  }
+  if (pathNames.length > 0) operation.responses[404] = { $ref: '#/components/responses/NotFound' };
+  if (guards.rateLimited) operation.responses[429] = { $ref: '#/components/responses/TooManyRequests' };
+
+  return operation;
+};
+
+// The OpenAPI document for a route list (see listRoutes)
+const buildOpenApiSpec = (routes, info) => {
+  const paths = {};
+  routes.forEach(route => {
+    const openApiPath = toOpenApiPath(route.path);
+    paths[openApiPath] = paths[openApiPath] || {};
+    paths[openApiPath][route.method.toLowerCase()] = buildOperation(route);
+  });
+
+  return {
+    openapi: '3.0.3',
+    info,
+    tags: [...new Set(routes.map(route => route.tag))].map(name => ({ name })),
+    paths,
+    components: {
+      securitySchemes: SECURITY_SCHEMES,
+      schemas: SCHEMAS,
+      responses: RESPONSES
+    }
+  };
+};
+
+// HTML page running the interactive docs against `specUrl`
+const renderDocsPage = ({ specUrl, nonce }) => fs.readFileSync(DOCS_TEMPLATE, 'utf8')
+  .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => ({ specUrl, nonce }[key] || ''));
+
+module.exports = {
+  describeRoute,
+  listRoutes,
+  groupEndpoints,
+  publicRoutes,
+  buildOpenApiSpec,
+  renderDocsPage
+};
@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const { formatMessage } = require('./i18n');
+
+// Opaque cursor pagination
+// A cursor is base64url JSON holding the sort field, the boundary document's
+// value for it, its _id and the paging direction. Paging with a
+// (value, _id) boundary stays stable when new feedback arrives, unlike skip()
+
+// Like AttachmentError, keeps the untranslated message for localized responses
+class CursorError extends Error {
+  constructor(message, params = {}) {
+    super(formatMessage(message, params));
+    this.name = 'CursorError';
+    this.status = 400;
+    this.template = message;
+    this.params = params;
+  }
+}
+
+const DATE_FIELDS = ['createdAt', 'updatedAt'];
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,3})?Z$/;
+
+// The boundary value goes into the query, so a crafted cursor must not be able
+// to smuggle in an operator object: only plain values, and ISO dates for dates
+const isValidBoundary = (value, field) => {
+  if (value === null) return true;
+  if (DATE_FIELDS.includes(field)) {
+    return typeof value === 'string' && ISO_DATE.test(value) && !Number.isNaN(Date.parse(value));
+  }
+  return typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value));
+};
+
+const getSortField = (sort) => Object.keys(sort).find(key => key !== '_id') || '_id';
+
+const encodeCursor = (doc, sort, direction) => {
+  const field = getSortField(sort);
+  // Documents created before a field existed have no value; they sort as null
+  const raw = doc.get ? doc.get(field) : doc[field];
+  const value = raw === undefined ? null : raw;
+  const payload = {
+    f: field,
+    v: value instanceof Date ? value.toISOString() : value,
+    id: doc._id.toString(),
+    d: direction
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+// Decode a cursor and check it was issued for the same sort field
+const decodeCursor = (cursor, sort) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new CursorError('Invalid cursor');
+  }
+
+  if (!payload || !mongoose.isValidObjectId(payload.id) || !['next', 'prev'].includes(payload.d)) {
+    throw new CursorError('Invalid cursor');
+  }
+
+  const field = getSortField(sort);
+  if (payload.f !== field) {
+    throw new CursorError('Cursor was issued for sort "{{issued}}", not "{{sort}}"', { issued: payload.f, sort: field });
+  }
+
+  const value = payload.v === undefined ? null : payload.v;
+  if (!isValidBoundary(value, field)) {
+    throw new CursorError('Invalid cursor');
+  }
+
+  return {
+    field,
+    value: DATE_FIELDS.includes(field) && value !== null ? new Date(value) : value,
+    id: new mongoose.Types.ObjectId(payload.id),
+    direction: payload.d
+  };
+};
+
+// Documents past the boundary in the direction of `op`
+// MongoDB sorts null and missing values below every other value, but $gt and
+// $lt never match them, so they are added (or ruled out) explicitly
+const pastBoundary = (field, op, { value, id }) => {
+  const tie = { [field]: value, _id: { [op]: id } };
+  if (value === null) {
+    return op === '$gt' ? { $or: [{ [field]: { $ne: null } }, tie] } : tie;
+  }
+  return {
+    $or: [
+      { [field]: { [op]: value } },
+      ...(op === '$lt' ? [{ [field]: null }] : []),
+      tie
+    ]
+  };
+};
+
+// Restrict a mongoose query to one page after (or before) the cursor
+// Fetches one extra document to tell whether another page exists
+const applyCursor = (query, { sort, cursor, limit }) => {
+  if (sort.score) {
+    throw new CursorError('Cursor pagination cannot be combined with relevance sorting');
+  }
+
+  const field = getSortField(sort);
+  const direction = sort[field];
+  let querySort = sort;
+
+  if (cursor) {
+    const boundary = decodeCursor(cursor, sort);
+    // Walking backwards flips both the comparison and the sort order
+    const forward = boundary.direction === 'next';
+    const op = (direction === 1) === forward ? '$gt' : '$lt';
+
+    const condition = field === '_id'
+      ? { _id: { [op]: boundary.id } }
+      : pastBoundary(field, op, boundary);
+    query.and([condition]);
+
+    if (!forward) {
+      querySort = Object.fromEntries(Object.entries(sort).map(([key, dir]) => [key, -dir]));
+    }
+  }
+
+  return query.sort(querySort).limit(limit + 1);
+};
+
+// Trim the extra document and build next/prev cursors for a fetched page
+const buildCursorPage = (docs, { sort, cursor, limit }) => {
+  const backward = cursor ? decodeCursor(cursor, sort).direction === 'prev' : false;
+  const hasMore = docs.length > limit;
+  const items = docs.slice(0, limit);
+  if (backward) items.reverse();
+
+  const hasNextPage = backward ? true : hasMore;
+  const hasPrevPage = backward ? hasMore : Boolean(cursor);
+
+  return {
+    items,
+    pagination: {
+      mode: 'cursor',
+      itemsPerPage: limit,
+      hasNextPage: hasNextPage && items.length > 0,
+      hasPrevPage: hasPrevPage && items.length > 0,
+      nextCursor: hasNextPage && items.length > 0
+        ? encodeCursor(items[items.length - 1], sort, 'next')
+        : null,
+      prevCursor: hasPrevPage && items.length > 0
+        ? encodeCursor(items[0], sort, 'prev')
+        : null
+    }
+  };
+};
+
+module.exports = {
+  CursorError,
+  getSortField,
+  applyCursor,
+  buildCursorPage
+};
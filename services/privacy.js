@@ -0,0 +1,134 @@
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const Feedback = require('../models/Feedback');
+const { sendMail } = require('./mailer');
+const { renderTemplate, escapeHtml } = require('./templates');
+const { signToken, verifyToken } = require('./tokens');
+const { removeAttachmentsMatching } = require('./attachments');
+const { listVotesByEmail, hasVotesByEmail, eraseVotesByEmail, removeVotesFor } = require('./voting');
+const { redactDeliveriesFor } = require('./webhooks');
+
+// Data-subject requests: export or erase everything stored for an email address
+// Submitters confirm by emailed link; admins can act directly
+
+const REQUEST_ACTIONS = ['export', 'erase'];
+const REQUEST_TOKEN_TTL = '1h';
+
+const CONFIRM_PAGE_TEMPLATE = path.join(__dirname, '..', 'templates', 'privacy-confirm.html');
+
+const ACTION_LABELS = {
+  export: 'download a copy of',
+  erase: 'permanently delete'
+};
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+
+// Every stored field except internal bookkeeping, including feedback in the trash
+const exportSubjectData = async (email) => {
+  const address = normalizeEmail(email);
+  const feedback = await Feedback.find({ email: address })
+    .setOptions({ withDeleted: true })
+    .sort({ createdAt: 1 })
+    .select('-__v -autoTags -attachments.storageKey')
+    .lean();
+
+  return {
+    email: address,
+    exportedAt: new Date(),
+    count: feedback.length,
+    feedback,
+    votes: await listVotesByEmail(address)
+  };
+};
+
+const eraseSubjectData = async (email) => {
+  const address = normalizeEmail(email);
+  const ids = await Feedback.distinct('_id', { email: address }).setOptions({ withDeleted: true });
+  await removeAttachmentsMatching({ email: address });
+  await removeVotesFor(ids);
+  const result = await Feedback.deleteMany({ _id: { $in: ids } });
+  return {
+    erasedAt: new Date(),
+    deletedCount: result.deletedCount,
+    votesDeleted: await eraseVotesByEmail(address),
+    webhookDeliveriesRedacted: await redactDeliveriesFor(address)
+  };
+};
+
+// Whether anything is stored for the address: feedback (trash included) or votes
+const hasSubjectData = async (address) =>
+  Boolean(await Feedback.exists({ email: address }).setOptions({ withDeleted: true })) ||
+  Boolean(await hasVotesByEmail(address));
+
+// Email a confirmation link for a self-service request
+// Nothing is sent when no data exists, but callers answer the same either way
+const sendRequestLink = async ({ email, action }, baseUrl) => {
+  const address = normalizeEmail(email);
+  if (!(await hasSubjectData(address))) return false;
+
+  const token = signToken(
+    { sub: address, action },
+    { purpose: 'privacy-request', expiresIn: REQUEST_TOKEN_TTL }
+  );
+  const link = `${process.env.PUBLIC_API_URL || baseUrl}/api/privacy/confirm?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: address,
+    ...renderTemplate('privacy-request', {
+      action: ACTION_LABELS[action],
+      link
+    })
+  });
+  return true;
+};
+
+// Decoded { email, action } of a confirmation token, or null
+const readRequestToken = (token) => {
+  const payload = verifyToken(token, 'privacy-request');
+  if (!payload || !REQUEST_ACTIONS.includes(payload.action)) return null;
+  return { email: payload.sub, action: payload.action };
+};
+
+// Page behind an erasure link: a button that POSTs the token back. Opening the
+// link never deletes anything, since mail scanners and prefetchers open links too
+// `text` holds the already translated strings shown on the page
+const renderConfirmPage = ({ token, action, language, text }) => fs.readFileSync(CONFIRM_PAGE_TEMPLATE, 'utf8')
+  .replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => escapeHtml({ token, action, language, ...text }[key] || ''));
+
+// The eight groups of an IPv6 address, with the "::" shorthand expanded
+const expandIpv6 = (ip) => {
+  const [head, tail] = ip.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  if (tail === undefined) return headGroups;
+  return [...headGroups, ...Array(8 - headGroups.length - tailGroups.length).fill('0'), ...tailGroups];
+};
+
+// IPv4 keeps its /24 and IPv6 its /48:
+// "192.168.1.23" -> "192.168.1.0", "2001:db8:85a3:8d3::1" -> "2001:db8:85a3::", "::1" -> "::"
+// IPv4-mapped addresses ("::ffff:192.168.1.23") are treated as IPv4
+const anonymizeIp = (ip) => {
+  if (!ip) return ip;
+  if (net.isIPv4(ip)) return ip.replace(/\.\d+$/, '.0');
+  if (!net.isIPv6(ip)) return ip;
+
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+  if (mapped) return `::ffff:${anonymizeIp(mapped[1])}`;
+
+  const prefix = expandIpv6(ip.split('%')[0]).slice(0, 3)
+    .map(group => group.replace(/^0+(?=.)/, '').toLowerCase());
+  // Trailing zero groups are folded into the "::"
+  while (prefix.length > 0 && prefix[prefix.length - 1] === '0') prefix.pop();
+  return `${prefix.join(':')}::`;
+};
+
+module.exports = {
+  REQUEST_ACTIONS,
+  exportSubjectData,
+  eraseSubjectData,
+  sendRequestLink,
+  readRequestToken,
+  renderConfirmPage,
+  anonymizeIp
+};
@@ -0,0 +1,55 @@
+const { sendMail } = require('./mailer');
+const { renderTemplate } = require('./templates');
+const { trackingLinkFor } = require('./tracking');
+
+// Record an admin reply on a feedback document and email it to the submitter
+// The reply is added to the thread and kept as the latest `response`; it is
+// saved before sending so a mail failure never loses it. The delivery
+// outcome is stored on response.delivery
+const replyToFeedback = async (feedback, { message, respondedBy }, baseUrl) => {
+  feedback.addThreadMessage({ authorType: 'staff', authorName: respondedBy, body: message });
+  feedback.response = {
+    message,
+    respondedBy,
+    respondedAt: new Date(),
+    delivery: { status: 'pending' }
+  };
+  feedback.status = 'responded';
+  await feedback.save();
+
+  return deliverResponse(feedback, baseUrl);
+};
+
+// (Re)send the stored response to the submitter
+// The email links to the conversation so the submitter can answer back
+const deliverResponse = async (feedback, baseUrl) => {
+  const mail = renderTemplate('feedback-reply', {
+    name: feedback.name,
+    response: feedback.response.message,
+    originalMessage: feedback.message,
+    respondedBy: feedback.response.respondedBy,
+    trackingLink: trackingLinkFor(feedback, baseUrl)
+  });
+
+  try {
+    const result = await sendMail({ to: feedback.email, ...mail });
+    feedback.response.delivery = {
+      status: 'sent',
+      transport: result.transport,
+      messageId: result.messageId,
+      attemptedAt: new Date()
+    };
+  } catch (error) {
+    console.error(`📧 Failed to email response for feedback ${feedback._id}:`, error.message);
+    feedback.response.delivery = {
+      status: 'failed',
+      error: error.message,
+      attemptedAt: new Date()
+    };
+  }
+
+  await feedback.save();
+  return feedback;
+};
+
+module.exports = { replyToFeedback, deliverResponse };
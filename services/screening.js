@@ -0,0 +1,52 @@
+// Automatic screening of testimonials before they can be shown publicly
+// Each check adds a flag; flagged feedback is held for moderation
+
+// Kept deliberately short; extend with SCREENING_BLOCKED_WORDS (comma-separated)
+const DEFAULT_BLOCKED_WORDS = [
+  'fuck', 'fucking', 'shit', 'bitch', 'bastard', 'asshole', 'dick', 'cunt',
+  'putang', 'putangina', 'gago', 'tangina', 'bobo', 'ulol'
+];
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|net|org|io|ru|xyz|info|biz|ph)\b/gi;
+const EMAIL_PATTERN = /[\w.+-]+@[\w-]+\.[\w.-]+/;
+const PHONE_PATTERN = /(?:\+?\d[\s-]?){10,}/;
+
+const getBlockedWords = () => [
+  ...DEFAULT_BLOCKED_WORDS,
+  ...(process.env.SCREENING_BLOCKED_WORDS || '').split(',').map(word => word.trim().toLowerCase())
+].filter(Boolean);
+
+const countLinks = (text) => (text.match(URL_PATTERN) || []).length;
+
+// Share of letters that are uppercase; short texts are never "shouting"
+const isShouting = (text) => {
+  const letters = text.replace(/[^\p{L}]/gu, '');
+  if (letters.length < 20) return false;
+  const upper = letters.replace(/[^\p{Lu}]/gu, '').length;
+  return upper / letters.length > 0.7;
+};
+
+const containsBlockedWord = (text) => {
+  const words = text.toLowerCase().split(/[^\p{L}\p{N}]+/u);
+  const blocked = new Set(getBlockedWords());
+  return words.some(word => blocked.has(word));
+};
+
+// Returns the list of flags raised by a submission (empty when clean)
+const screenFeedback = ({ name = '', message = '' }) => {
+  const text = `${name} ${message}`;
+  const maxLinks = parseInt(process.env.SCREENING_MAX_LINKS || '0');
+  const flags = [];
+
+  if (containsBlockedWord(text)) flags.push('profanity');
+  if (countLinks(message) > maxLinks) flags.push('links');
+  if (isShouting(message)) flags.push('all-caps');
+  if (EMAIL_PATTERN.test(message) || PHONE_PATTERN.test(message)) flags.push('contact-info');
+
+  return flags;
+};
+
+module.exports = {
+  screenFeedback,
+  countLinks
+};
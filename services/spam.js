@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const Feedback = require('../models/Feedback');
+const UsedFormToken = require('../models/UsedFormToken');
+const disposableDomains = require('../data/disposable-domains.json');
+const { countLinks } = require('./screening');
+const { signToken, verifyToken } = require('./tokens');
+
+// Spam scoring for public submissions
+// Each signal adds to a 0-100 score; submissions at or above
+// SPAM_QUARANTINE_SCORE are saved but quarantined for moderation
+
+const FORM_TOKEN_TTL = '2h';
+
+const SIGNAL_WEIGHTS = {
+  honeypot: 100,
+  'form-token-missing': 20,
+  'form-token-invalid': 30,
+  'form-token-reused': 30,
+  'filled-too-fast': 50,
+  'disposable-email': 40,
+  'repeated-content': 30,
+  'repeated-content-burst': 50,
+  links: 10,
+  'link-density': 20
+};
+
+const getMinFillMs = () => parseInt(process.env.SPAM_MIN_FILL_SECONDS || '3') * 1000;
+const getQuarantineScore = () => parseInt(process.env.SPAM_QUARANTINE_SCORE || '60');
+
+const blockedDomains = new Set([
+  ...disposableDomains,
+  ...(process.env.SPAM_DISPOSABLE_DOMAINS || '').split(',').map(domain => domain.trim().toLowerCase())
+].filter(Boolean));
+
+// Token the form fetches when it is rendered; its age is the fill time
+const issueFormToken = () => signToken({}, { purpose: 'feedback-form', expiresIn: FORM_TOKEN_TTL });
+
+// Record a form token as spent; resolves to false when it already was, so one
+// token fetched by a script cannot vouch for any number of submissions
+const spendFormToken = async (payload) => {
+  try {
+    await UsedFormToken.create({ jti: payload.jti, expiresAt: new Date(payload.exp * 1000) });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+const isDisposableEmail = (email) => {
+  const domain = email.split('@').pop().toLowerCase();
+  // Match subdomains too (e.g. abc.mailinator.com)
+  return [...blockedDomains].some(blocked => domain === blocked || domain.endsWith(`.${blocked}`));
+};
+
+// Hash of the message with case, punctuation and spacing removed,
+// so trivially varied copies share a fingerprint
+const fingerprintMessage = (message) => crypto
+  .createHash('sha256')
+  .update(message.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim())
+  .digest('hex');
+
+// Score a validated submission
+// Returns { score, signals, fingerprint, quarantined }
+const scoreSubmission = async ({ value, honeypot, formToken }) => {
+  const signals = [];
+
+  if (honeypot && honeypot.trim() !== '') {
+    signals.push('honeypot');
+  }
+
+  if (!formToken) {
+    signals.push('form-token-missing');
+  } else {
+    const payload = verifyToken(formToken, 'feedback-form');
+    if (!payload) {
+      signals.push('form-token-invalid');
+    } else if (!(await spendFormToken(payload))) {
+      signals.push('form-token-reused');
+    } else if (Date.now() - payload.iat * 1000 < getMinFillMs()) {
+      signals.push('filled-too-fast');
+    }
+  }
+
+  if (isDisposableEmail(value.email)) {
+    signals.push('disposable-email');
+  }
+
+  const fingerprint = fingerprintMessage(value.message);
+  const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+  const repeats = await Feedback.countDocuments({
+    'spam.fingerprint': fingerprint,
+    createdAt: { $gte: weekAgo }
+  });
+  if (repeats >= 3) {
+    signals.push('repeated-content-burst');
+  } else if (repeats > 0) {
+    signals.push('repeated-content');
+  }
+
+  const links = countLinks(value.message);
+  const words = value.message.split(/\s+/).filter(Boolean).length;
+  if (links > 0) {
+    signals.push('links');
+    if (links / words > 0.1) signals.push('link-density');
+  }
+
+  const score = Math.min(100, signals.reduce((sum, signal) => {
+    const weight = SIGNAL_WEIGHTS[signal];
+    return sum + (signal === 'links' ? weight * links : weight);
+  }, 0));
+
+  return {
+    score,
+    signals,
+    fingerprint,
+    quarantined: score >= getQuarantineScore()
+  };
+};
+
+module.exports = {
+  FORM_TOKEN_TTL,
+  issueFormToken,
+  isDisposableEmail,
+  fingerprintMessage,
+  scoreSubmission
+};
@@ -0,0 +1,200 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+// Pluggable file storage for attachments
+// STORAGE_DRIVER selects where files are kept:
+//   local - files under STORAGE_DIR (default "uploads") on this server's disk
+//   s3    - any S3-compatible bucket (AWS S3, MinIO, Cloudflare R2, ...) via
+//           S3_ENDPOINT/S3_REGION/S3_BUCKET/S3_ACCESS_KEY_ID/S3_SECRET_ACCESS_KEY
+// Every driver stores opaque keys such as "feedback/<id>/<attachmentId>.png"
+
+const REQUEST_TIMEOUT_MS = 30000;
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// Keys are generated by the server, but never let one climb out of the storage root
+const assertSafeKey = (key) => {
+  if (typeof key !== 'string' || !/^[\w-]+(\/[\w.-]+)*$/.test(key) || key.split('/').includes('..')) {
+    throw new Error(`Invalid storage key "${key}"`);
+  }
+};
+
+// AWS Signature Version 4 for a single S3 request (path-style URLs)
+const signS3Request = ({ method, url, headers, payloadHash, credentials, region, date = new Date() }) => {
+  const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const day = amzDate.slice(0, 8);
+  const scope = `${day}/${region}/s3/aws4_request`;
+
+  const signedHeaders = {
+    ...headers,
+    host: url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': amzDate
+  };
+  const names = Object.keys(signedHeaders).map(name => name.toLowerCase()).sort();
+  const lowerCased = Object.fromEntries(
+    Object.entries(signedHeaders).map(([name, value]) => [name.toLowerCase(), String(value).trim()])
+  );
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    url.searchParams.toString(),
+    names.map(name => `${name}:${lowerCased[name]}\n`).join(''),
+    names.join(';'),
+    payloadHash
+  ].join('\n');
+
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${credentials.secretAccessKey}`, day), region)
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  return {
+    ...signedHeaders,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, ` +
+      `SignedHeaders=${names.join(';')}, Signature=${signature}`
+  };
+};
+
+// Send a request and buffer the response; resolves to { statusCode, body }
+const sendRequest = (url, { method, headers, body }) => new Promise((resolve, reject) => {
+  const client = url.protocol === 'https:' ? https : http;
+
+  const request = client.request(url, { method, headers, timeout: REQUEST_TIMEOUT_MS }, (response) => {
+    const chunks = [];
+    response.on('data', chunk => chunks.push(chunk));
+    response.on('end', () => resolve({ statusCode: response.statusCode, body: Buffer.concat(chunks) }));
+    response.on('error', reject);
+  });
+
+  request.on('timeout', () => request.destroy(new Error(`Timed out after ${REQUEST_TIMEOUT_MS}ms`)));
+  request.on('error', reject);
+  request.end(body);
+});
+
+const drivers = {
+  local: () => {
+    const root = path.resolve(process.env.STORAGE_DIR || 'uploads');
+    const fileFor = (key) => path.join(root, ...key.split('/'));
+
+    return {
+      put: async (key, data) => {
+        const file = fileFor(key);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, data);
+      },
+      get: async (key) => {
+        try {
+          return await fs.readFile(fileFor(key));
+        } catch (error) {
+          if (error.code === 'ENOENT') return null;
+          throw error;
+        }
+      },
+      remove: async (key) => {
+        const file = fileFor(key);
+        await fs.rm(file, { force: true });
+        // Tidy up the per-feedback folder once it is empty
+        await fs.rmdir(path.dirname(file)).catch(() => {});
+      }
+    };
+  },
+
+  s3: () => {
+    const bucket = process.env.S3_BUCKET;
+    const region = process.env.S3_REGION || 'us-east-1';
+    const endpoint = process.env.S3_ENDPOINT || `https://s3.${region}.amazonaws.com`;
+    const credentials = {
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+    };
+    if (!bucket || !credentials.accessKeyId || !credentials.secretAccessKey) {
+      throw new Error('STORAGE_DRIVER=s3 needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+
+    const objectRequest = async (method, key, { body, contentType } = {}) => {
+      const url = new URL(`${endpoint.replace(/\/+$/, '')}/${bucket}/${key}`);
+      const headers = body ? { 'content-type': contentType, 'content-length': body.length } : {};
+      const response = await sendRequest(url, {
+        method,
+        body,
+        headers: signS3Request({
+          method,
+          url,
+          headers,
+          payloadHash: sha256(body || ''),
+          credentials,
+          region
+        })
+      });
+
+      if (method === 'GET' && response.statusCode === 404) return null;
+      if (response.statusCode >= 300) {
+        throw new Error(`S3 ${method} ${key} failed with HTTP ${response.statusCode}: ${response.body.toString('utf8', 0, 300)}`);
+      }
+      return response.body;
+    };
+
+    return {
+      put: async (key, data, contentType) => {
+        await objectRequest('PUT', key, { body: data, contentType });
+      },
+      get: (key) => objectRequest('GET', key),
+      // S3 answers 204 whether or not the object existed
+      remove: async (key) => {
+        await objectRequest('DELETE', key);
+      }
+    };
+  }
+};
+
+let activeDriver = null;
+
+const getStorageDriverName = () => {
+  const name = process.env.STORAGE_DRIVER || 'local';
+
+  if (!drivers[name]) {
+    throw new Error(`Unknown STORAGE_DRIVER "${name}". Use one of: ${Object.keys(drivers).join(', ')}`);
+  }
+  return name;
+};
+
+const getDriver = () => {
+  const name = getStorageDriverName();
+  if (!activeDriver || activeDriver.name !== name) {
+    activeDriver = { name, ...drivers[name]() };
+  }
+  return activeDriver;
+};
+
+// Store a buffer under key (overwrites)
+const putObject = async (key, data, contentType) => {
+  assertSafeKey(key);
+  await getDriver().put(key, data, contentType);
+};
+
+// Resolves to the stored buffer, or null when the object does not exist
+const getObject = async (key) => {
+  assertSafeKey(key);
+  return getDriver().get(key);
+};
+
+// Deleting a missing object is not an error
+const deleteObject = async (key) => {
+  assertSafeKey(key);
+  await getDriver().remove(key);
+};
+
+module.exports = {
+  putObject,
+  getObject,
+  deleteObject,
+  getStorageDriverName
+};
@@ -0,0 +1,50 @@
+const fs = require('fs');
+const path = require('path');
+
+// Email templates live in templates/email/<name>.txt and <name>.html
+// The first line of the .txt file is "Subject: ..."; placeholders use {{name}}
+
+const TEMPLATE_DIR = path.join(__dirname, '..', 'templates', 'email');
+const cache = new Map();
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const readTemplate = (fileName) => {
+  if (!cache.has(fileName)) {
+    const filePath = path.join(TEMPLATE_DIR, fileName);
+    cache.set(fileName, fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null);
+  }
+  return cache.get(fileName);
+};
+
+const interpolate = (template, vars, escape) => template.replace(
+  /\{\{\s*(\w+)\s*\}\}/g,
+  (match, key) => {
+    const value = vars[key] === undefined || vars[key] === null ? '' : vars[key];
+    return escape ? escapeHtml(value).replace(/\n/g, '<br>') : String(value);
+  }
+);
+
+// Render a named template into { subject, text, html }
+const renderTemplate = (name, vars = {}) => {
+  const source = readTemplate(`${name}.txt`);
+  if (!source) {
+    throw new Error(`Email template "${name}" not found`);
+  }
+
+  const [subjectLine, ...bodyLines] = source.split(/\r?\n/);
+  const subject = interpolate(subjectLine.replace(/^Subject:\s*/, ''), vars, false);
+  const text = interpolate(bodyLines.join('\n').trim(), vars, false);
+
+  const htmlSource = readTemplate(`${name}.html`);
+  const html = htmlSource ? interpolate(htmlSource, vars, true) : undefined;
+
+  return { subject, text, html };
+};
+
+module.exports = { renderTemplate, escapeHtml };
@@ -0,0 +1,42 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Signed tokens (JWT, HS256) keyed by JWT_SECRET
+// Every token carries a `purpose` claim so a token issued for one
+// flow can never be replayed against another
+
+let devSecret = null;
+
+const getSecret = () => {
+  if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET is not configured');
+  }
+
+  // Development fallback: tokens stop working when the server restarts
+  if (!devSecret) {
+    devSecret = crypto.randomBytes(32).toString('hex');
+    console.warn('⚠️  JWT_SECRET not set - using a temporary secret for this process');
+  }
+  return devSecret;
+};
+
+const signToken = (payload, { purpose, expiresIn }) => jwt.sign(
+  { ...payload, purpose },
+  getSecret(),
+  { expiresIn, jwtid: crypto.randomUUID() }
+);
+
+// Returns the decoded payload, or null when the token is invalid,
+// expired or was issued for a different purpose
+const verifyToken = (token, purpose) => {
+  try {
+    const payload = jwt.verify(token, getSecret());
+    return payload.purpose === purpose ? payload : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = { signToken, verifyToken };
@@ -0,0 +1,37 @@
+const Feedback = require('../models/Feedback');
+const { signToken, verifyToken } = require('./tokens');
+
+// Private tracking links for submitters
+// The token is a signed reference to the feedback, so a fresh one can be put
+// in every email without storing it. Anyone holding it can read the thread
+// and post follow-ups, so it is only ever sent to the submitter
+
+const getTrackingTtl = () => process.env.TRACKING_TOKEN_TTL || '365d';
+
+const issueTrackingToken = (feedback) => signToken(
+  { sub: feedback._id.toString() },
+  { purpose: 'tracking', expiresIn: getTrackingTtl() }
+);
+
+// TRACKING_URL points at a frontend page; otherwise the API endpoint is used
+const buildTrackingUrl = (token, baseUrl) => {
+  const base = process.env.TRACKING_URL
+    || `${process.env.PUBLIC_API_URL || baseUrl}/api/feedback/track`;
+  return `${base}/${encodeURIComponent(token)}`;
+};
+
+const trackingLinkFor = (feedback, baseUrl) => buildTrackingUrl(issueTrackingToken(feedback), baseUrl);
+
+// The feedback behind a token, or null when the token is invalid or the feedback is gone
+const findByTrackingToken = async (token) => {
+  const payload = verifyToken(token, 'tracking');
+  if (!payload) return null;
+  return Feedback.findById(payload.sub).select('-ipAddress -userAgent');
+};
+
+module.exports = {
+  issueTrackingToken,
+  buildTrackingUrl,
+  trackingLinkFor,
+  findByTrackingToken
+};
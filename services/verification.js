@@ -0,0 +1,80 @@
+const Feedback = require('../models/Feedback');
+const { sendMail } = require('./mailer');
+const { renderTemplate } = require('./templates');
+const { signToken, verifyToken } = require('./tokens');
+const { emitFeedbackEvent } = require('./webhooks');
+
+// Email verification (double opt-in) for submissions
+// Enabled with EMAIL_VERIFICATION=true. Unverified feedback expires after
+// VERIFICATION_TTL_HOURS and is then deleted by jobs/purgeUnverified
+
+const isVerificationEnabled = () => process.env.EMAIL_VERIFICATION === 'true';
+
+const getTtlHours = () => parseInt(process.env.VERIFICATION_TTL_HOURS || '48');
+
+// Fields to set on a new submission that must be verified
+const verificationFields = () => ({
+  verified: false,
+  verification: {
+    expiresAt: new Date(Date.now() + getTtlHours() * 60 * 60 * 1000)
+  }
+});
+
+// Email the signed verification link; the outcome is stored on the feedback
+const sendVerification = async (feedback, baseUrl) => {
+  const token = signToken(
+    { sub: feedback._id.toString() },
+    { purpose: 'email-verification', expiresIn: `${getTtlHours()}h` }
+  );
+  const link = `${process.env.PUBLIC_API_URL || baseUrl}/api/feedback/verify?token=${encodeURIComponent(token)}`;
+
+  const mail = renderTemplate('verify-feedback', {
+    name: feedback.name,
+    link,
+    hours: getTtlHours(),
+    message: feedback.message
+  });
+
+  try {
+    await sendMail({ to: feedback.email, ...mail });
+    feedback.verification.deliveryStatus = 'sent';
+  } catch (error) {
+    console.error(`📧 Failed to send verification for feedback ${feedback._id}:`, error.message);
+    feedback.verification.deliveryStatus = 'failed';
+  }
+  feedback.verification.sentAt = new Date();
+
+  await feedback.save();
+  return feedback;
+};
+
+// Mark the feedback behind a token as verified
+// Resolves to the feedback, or null when the token is invalid or the feedback is gone
+const confirmVerification = async (token) => {
+  const payload = verifyToken(token, 'email-verification');
+  if (!payload) return null;
+
+  const feedback = await Feedback.findById(payload.sub);
+  if (!feedback) return null;
+
+  if (feedback.verified !== true) {
+    feedback.verified = true;
+    feedback.verification.verifiedAt = new Date();
+    // Keep jobs/purgeUnverified from deleting it
+    feedback.verification.expiresAt = undefined;
+    await feedback.save();
+
+    if (!feedback.spam || !feedback.spam.quarantined) {
+      emitFeedbackEvent('feedback.created', feedback);
+    }
+  }
+
+  return feedback;
+};
+
+module.exports = {
+  isVerificationEnabled,
+  verificationFields,
+  sendVerification,
+  confirmVerification
+};
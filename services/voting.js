@@ -0,0 +1,271 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Feedback = require('../models/Feedback');
+const Vote = require('../models/Vote');
+const { sendMail } = require('./mailer');
+const { renderTemplate } = require('./templates');
+const { signToken, verifyToken } = require('./tokens');
+const { hashEmail } = require('./audit');
+
+// Public up/down voting on feature requests
+// A visitor is identified either by an anonymous browser fingerprint or, more
+// reliably, by an email address confirmed once through an emailed link (which
+// yields a long-lived voter token). Only hashes of either are stored.
+// Vote counts are kept on the feedback (votes.up/down/score) for sorting
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const VOTER_LINK_TTL = '24h';
+const getVoterTokenTtl = () => process.env.VOTER_TOKEN_TTL || '180d';
+
+class VoteError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'VoteError';
+    this.status = status;
+  }
+}
+
+// VOTING_TAGS: comma-separated tags that can be voted on ("*" = any public feedback)
+const getVotingTags = () => (process.env.VOTING_TAGS || 'feature-request')
+  .split(',')
+  .map(tag => tag.trim().toLowerCase())
+  .filter(Boolean);
+
+// Public, approved feedback carrying one of the voting tags
+const votableFilter = () => {
+  const tags = getVotingTags();
+  const filter = Feedback.publicFilter();
+  if (!tags.includes('*')) filter.tags = { $in: tags };
+  return filter;
+};
+
+const hashFingerprint = (fingerprint) => crypto
+  .createHash('sha256')
+  .update(`fingerprint:${fingerprint}`)
+  .digest('hex');
+
+// { voter, voterType } for a request; a valid voter token wins over a fingerprint
+const resolveVoter = ({ voterToken, fingerprint }) => {
+  if (voterToken) {
+    const payload = verifyToken(voterToken, 'voter');
+    if (!payload) throw new VoteError('Voter token is invalid or has expired. Confirm your email again', 401);
+    return { voter: `email:${payload.sub}`, voterType: 'email' };
+  }
+  if (fingerprint) {
+    return { voter: `fingerprint:${hashFingerprint(fingerprint)}`, voterType: 'fingerprint' };
+  }
+  throw new VoteError('A fingerprint or voter token is required to vote');
+};
+
+const countsOf = (feedback) => {
+  const votes = (feedback && feedback.votes) || {};
+  return { up: votes.up || 0, down: votes.down || 0, score: votes.score || 0 };
+};
+
+// Apply a counter change to the feedback; resolves to the new counts
+// `options` are query options, e.g. { withDeleted: true } to reach feedback in the trash
+const applyDelta = async (feedbackId, changes, options = {}) => {
+  const inc = {};
+  changes.forEach(({ value, by }) => {
+    const field = value === 1 ? 'votes.up' : 'votes.down';
+    inc[field] = (inc[field] || 0) + by;
+    inc['votes.score'] = (inc['votes.score'] || 0) + value * by;
+  });
+
+  const feedback = await Feedback.findByIdAndUpdate(feedbackId, { $inc: inc }, { new: true })
+    .setOptions(options)
+    .select('votes');
+  return countsOf(feedback);
+};
+
+// Find votable feedback by id, or throw a 404
+const findVotable = async (feedbackId) => {
+  const feedback = mongoose.isValidObjectId(feedbackId)
+    ? await Feedback.findOne({ _id: feedbackId, ...votableFilter() }).select('votes')
+    : null;
+  if (!feedback) throw new VoteError('Feedback not found or not open for voting', 404);
+  return feedback;
+};
+
+// Record (or change) a visitor's vote; voting the same way twice changes nothing
+// Resolves to { votes, yourVote, changed }
+const castVote = async (feedbackId, identity, value) => {
+  const feedback = await findVotable(feedbackId);
+
+  let previous;
+  try {
+    previous = await Vote.findOneAndUpdate(
+      { feedback: feedback._id, voter: identity.voter },
+      { $set: { value, voterType: identity.voterType } },
+      { upsert: true, new: false }
+    );
+  } catch (error) {
+    // Two first votes from one visitor at the same moment; the other request counted it
+    if (error.code === 11000) return { votes: countsOf(feedback), yourVote: value, changed: false };
+    throw error;
+  }
+
+  if (previous && previous.value === value) {
+    return { votes: countsOf(feedback), yourVote: value, changed: false };
+  }
+
+  const changes = [{ value, by: 1 }];
+  if (previous) changes.push({ value: previous.value, by: -1 });
+  return { votes: await applyDelta(feedback._id, changes), yourVote: value, changed: true };
+};
+
+// Withdraw a visitor's vote; resolves to { votes, yourVote: 0, changed }
+const retractVote = async (feedbackId, identity) => {
+  const feedback = await findVotable(feedbackId);
+  const removed = await Vote.findOneAndDelete({ feedback: feedback._id, voter: identity.voter });
+
+  if (!removed) return { votes: countsOf(feedback), yourVote: 0, changed: false };
+  return {
+    votes: await applyDelta(feedback._id, [{ value: removed.value, by: -1 }]),
+    yourVote: 0,
+    changed: true
+  };
+};
+
+// Email a link that confirms the address and hands out a voter token
+const sendVoterLink = async (email, baseUrl) => {
+  const token = signToken(
+    { sub: hashEmail(email) },
+    { purpose: 'voter-email', expiresIn: VOTER_LINK_TTL }
+  );
+  const link = `${process.env.PUBLIC_API_URL || baseUrl}/api/feedback/voters/confirm?token=${encodeURIComponent(token)}`;
+
+  await sendMail({
+    to: String(email).trim().toLowerCase(),
+    ...renderTemplate('confirm-voter', { link })
+  });
+};
+
+// Exchange an emailed link token for a voter token, or null if it is invalid
+const exchangeVoterLink = (token) => {
+  const payload = verifyToken(token, 'voter-email');
+  if (!payload) return null;
+  return {
+    voterToken: signToken({ sub: payload.sub }, { purpose: 'voter', expiresIn: getVoterTokenTtl() }),
+    expiresIn: getVoterTokenTtl()
+  };
+};
+
+const roundOrNull = (value, digits = 1) => (
+  value === null || value === undefined || Number.isNaN(value) ? null : Number(value.toFixed(digits))
+);
+
+// Voting activity for GET /api/feedback/stats
+// Counts votes cast in the last day and week, the change against the week
+// before, and the feedback gaining the most net votes this week
+const getVoteVelocity = async ({ trendingLimit = 5 } = {}) => {
+  const now = Date.now();
+  const dayAgo = new Date(now - DAY_MS);
+  const weekAgo = new Date(now - 7 * DAY_MS);
+  const twoWeeksAgo = new Date(now - 14 * DAY_MS);
+
+  const [total, [windows], trendingRows] = await Promise.all([
+    Vote.countDocuments(),
+    Vote.aggregate([
+      { $match: { createdAt: { $gte: twoWeeksAgo } } },
+      {
+        $group: {
+          _id: null,
+          last24h: { $sum: { $cond: [{ $gte: ['$createdAt', dayAgo] }, 1, 0] } },
+          last7d: { $sum: { $cond: [{ $gte: ['$createdAt', weekAgo] }, 1, 0] } },
+          previous7d: { $sum: { $cond: [{ $lt: ['$createdAt', weekAgo] }, 1, 0] } }
+        }
+      }
+    ]),
+    Vote.aggregate([
+      { $match: { createdAt: { $gte: weekAgo } } },
+      { $group: { _id: '$feedback', net: { $sum: '$value' }, votes: { $sum: 1 } } },
+      { $sort: { net: -1, votes: -1 } },
+      { $limit: trendingLimit * 4 }
+    ])
+  ]);
+
+  // Only public, votable feedback is named; hidden or deleted items are skipped
+  const visible = await Feedback.find({ _id: { $in: trendingRows.map(row => row._id) }, ...votableFilter() })
+    .select('name message tags votes createdAt');
+  const byId = new Map(visible.map(feedback => [String(feedback._id), feedback]));
+
+  const { last24h = 0, last7d = 0, previous7d = 0 } = windows || {};
+
+  return {
+    total,
+    last24h,
+    last7d,
+    previous7d,
+    perDay7d: roundOrNull(last7d / 7),
+    // Percentage change against the previous week (null when there were no votes then)
+    weekOverWeek: previous7d > 0 ? roundOrNull(((last7d - previous7d) / previous7d) * 100) : null,
+    trending: trendingRows
+      .filter(row => row.net > 0 && byId.has(String(row._id)))
+      .slice(0, trendingLimit)
+      .map(row => {
+        const feedback = byId.get(String(row._id));
+        return {
+          id: feedback._id,
+          name: feedback.name,
+          message: feedback.message,
+          tags: feedback.tags,
+          votes: countsOf(feedback),
+          netVotes7d: row.net,
+          votesCast7d: row.votes
+        };
+      })
+  };
+};
+
+// Votes cast with a confirmed email address (privacy export and erasure)
+const emailVoter = (email) => `email:${hashEmail(email)}`;
+
+const listVotesByEmail = (email) => Vote.find({ voter: emailVoter(email) })
+  .sort({ createdAt: 1 })
+  .select('feedback value createdAt updatedAt -_id')
+  .lean();
+
+// Whether any votes were cast with the address
+const hasVotesByEmail = (email) => Vote.exists({ voter: emailVoter(email) });
+
+// Delete the votes and take them off the counts of the feedback they were cast
+// on (trashed feedback included, in case it is restored). Votes are removed one
+// by one so a vote withdrawn at the same moment is not subtracted twice
+const eraseVotesByEmail = async (email) => {
+  const votes = await Vote.find({ voter: emailVoter(email) }).select('_id').lean();
+
+  const changesByFeedback = new Map();
+  for (const { _id } of votes) {
+    const removed = await Vote.findOneAndDelete({ _id });
+    if (removed) {
+      const key = String(removed.feedback);
+      changesByFeedback.set(key, [...(changesByFeedback.get(key) || []), { value: removed.value, by: -1 }]);
+    }
+  }
+
+  for (const [feedbackId, changes] of changesByFeedback) {
+    await applyDelta(feedbackId, changes, { withDeleted: true });
+  }
+
+  return [...changesByFeedback.values()].reduce((count, changes) => count + changes.length, 0);
+};
+
+// Feedback deleted for good takes its votes with it
+const removeVotesFor = (feedbackIds) => Vote.deleteMany({ feedback: { $in: feedbackIds } });
+
+module.exports = {
+  VoteError,
+  getVotingTags,
+  votableFilter,
+  resolveVoter,
+  castVote,
+  retractVote,
+  sendVoterLink,
+  exchangeVoterLink,
+  getVoteVelocity,
+  listVotesByEmail,
+  hasVotesByEmail,
+  eraseVotesByEmail,
+  removeVotesFor
+};
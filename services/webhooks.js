@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+// Outgoing webhooks
+// Events are queued as WebhookDelivery documents and sent by jobs/webhookQueue.js
+// Each request carries:
+//   X-BuzzGuard-Event      event name
+//   X-BuzzGuard-Delivery   delivery id (stable across retries)
+//   X-BuzzGuard-Timestamp  unix seconds when this attempt was signed
+//   X-BuzzGuard-Signature  sha256=HMAC-SHA256(secret, "<timestamp>.<body>")
+
+const REQUEST_TIMEOUT_MS = 10000;
+const MAX_RESPONSE_BODY = 1000;
+
+// Fields sent for a feedback item (no IP address or user agent)
+const PAYLOAD_FIELDS = [
+  'name', 'email', 'message', 'rating', 'status', 'priority', 'tags', 'source',
+  'language', 'isPublic', 'response', 'device', 'createdAt', 'updatedAt'
+];
+
+let onQueued = () => {};
+
+// Lets the queue worker start sending as soon as something is queued
+const setQueueListener = (listener) => {
+  onQueued = listener;
+};
+
+const generateSecret = () => crypto.randomBytes(24).toString('hex');
+
+const signPayload = (secret, timestamp, body) => `sha256=${crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex')}`;
+
+// Receiver-side check: right secret and signed within `toleranceSeconds`
+const verifySignature = (secret, timestamp, body, signature, toleranceSeconds = 300) => {
+  if (!timestamp || !signature) return false;
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > toleranceSeconds) return false;
+
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+const serializeFeedback = (feedback) => {
+  const source = typeof feedback.toObject === 'function' ? feedback.toObject() : feedback;
+  const data = { id: String(source._id) };
+  PAYLOAD_FIELDS.forEach(field => {
+    if (source[field] !== undefined) data[field] = source[field];
+  });
+  if (source.response && source.response.delivery) {
+    data.response = { ...source.response };
+    delete data.response.delivery;
+  }
+  return data;
+};
+
+const buildPayload = (event, data) => ({
+  id: crypto.randomUUID(),
+  event,
+  createdAt: new Date().toISOString(),
+  data
+});
+
+const queueDelivery = async (webhook, event, data) => {
+  const delivery = await WebhookDelivery.create({
+    webhook: webhook._id,
+    event,
+    payload: buildPayload(event, data)
+  });
+  onQueued();
+  return delivery;
+};
+
+// Queue `event` for every active subscription whose filters match
+// Never throws: a webhook problem must not break the request that caused it
+const emitFeedbackEvent = async (event, feedback, extra = {}) => {
+  try {
+    const webhooks = await Webhook.find({ isActive: true, events: event });
+    const matching = webhooks.filter(webhook => webhook.matches(feedback));
+    if (matching.length === 0) return 0;
+
+    const data = { feedback: serializeFeedback(feedback), ...extra };
+    await Promise.all(matching.map(webhook => queueDelivery(webhook, event, data)));
+    return matching.length;
+  } catch (error) {
+    console.error(`🪝 Failed to queue webhook event ${event}:`, error.message);
+    return 0;
+  }
+};
+
+// Data-subject erasure: queued and logged deliveries about this address keep
+// only the feedback id. The last response body is dropped too, since receivers
+// may echo the payload back. Pending deliveries are still sent, redacted
+const redactDeliveriesFor = async (email) => {
+  const result = await WebhookDelivery.updateMany(
+    { 'payload.data.feedback.email': email },
+    [{
+      $set: { 'payload.data.feedback': { id: '$payload.data.feedback.id', erased: true } }
+    }, {
+      $unset: 'responseBody'
+    }]
+  );
+  return result.modifiedCount;
+};
+
+// Queue a sample event for one subscription, ignoring its filters
+const sendTestEvent = (webhook, requestedBy) => queueDelivery(webhook, 'webhook.test', {
+  message: 'This is a test event from BuzzGuard',
+  webhook: { id: String(webhook._id), name: webhook.name },
+  requestedBy
+});
+
+// POST the payload; resolves to { responseStatus, responseBody } or rejects
+const postJson = (url, body, headers) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+
+  const request = client.request(target, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      'User-Agent': 'BuzzGuard-Webhooks/1.0',
+      ...headers
+    },
+    timeout: REQUEST_TIMEOUT_MS
+  }, (response) => {
+    let responseBody = '';
+    response.setEncoding('utf8');
+    response.on('data', chunk => {
+      if (responseBody.length < MAX_RESPONSE_BODY) responseBody += chunk;
+    });
+    response.on('end', () => resolve({
+      responseStatus: response.statusCode,
+      responseBody: responseBody.slice(0, MAX_RESPONSE_BODY)
+    }));
+  });
+
+  request.on('timeout', () => request.destroy(new Error(`Timed out after ${REQUEST_TIMEOUT_MS}ms`)));
+  request.on('error', reject);
+  request.end(body);
+});
+
+// Send one delivery attempt; resolves to the attempt result (never rejects)
+const sendDelivery = async (webhook, delivery) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+
+  try {
+    const result = await postJson(webhook.url, body, {
+      'X-BuzzGuard-Event': delivery.event,
+      'X-BuzzGuard-Delivery': String(delivery._id),
+      'X-BuzzGuard-Timestamp': String(timestamp),
+      'X-BuzzGuard-Signature': signPayload(webhook.secret, timestamp, body)
+    });
+    const ok = result.responseStatus >= 200 && result.responseStatus < 300;
+    return {
+      ok,
+      ...result,
+      durationMs: Date.now() - started,
+      error: ok ? undefined : `Receiver responded with HTTP ${result.responseStatus}`
+    };
+  } catch (error) {
+    return { ok: false, durationMs: Date.now() - started, error: error.message };
+  }
+};
+
+module.exports = {
+  PAYLOAD_FIELDS,
+  setQueueListener,
+  generateSecret,
+  signPayload,
+  verifySignature,
+  serializeFeedback,
+  emitFeedbackEvent,
+  redactDeliveriesFor,
+  sendTestEvent,
+  sendDelivery
+};
@@ -0,0 +1,104 @@
+const Joi = require('joi');
+const Feedback = require('../models/Feedback');
+const { localizeMessages } = require('../services/i18n');
+
+// Optional diagnostics block (app or device context for bug reports)
+const versionString = Joi.string().trim().max(50).pattern(/^[\w.+-]+$/).messages(localizeMessages({
+  'string.pattern.base': '{#label} may only contain letters, numbers, dots, dashes, underscores and plus signs'
+}));
+
+const deviceValidation = Joi.object({
+  deviceId: Joi.string().trim().max(100),
+  firmwareVersion: versionString,
+  appVersion: versionString,
+  platform: Joi.string().trim().lowercase().max(50),
+  batteryLevel: Joi.number().min(0).max(100).messages(localizeMessages({
+    'number.min': 'Battery level is a percentage (0-100)',
+    'number.max': 'Battery level is a percentage (0-100)'
+  })),
+  signalStrength: Joi.number().min(-150).max(0).messages(localizeMessages({
+    'number.min': 'Signal strength is an RSSI in dBm (-150 to 0)',
+    'number.max': 'Signal strength is an RSSI in dBm (-150 to 0)'
+  })),
+  errorCodes: Joi.array().items(Joi.string().trim().min(1).max(50)).max(20).unique()
+}).min(1).messages(localizeMessages({
+  'object.min': 'device must contain at least one field'
+}));
+
+// Language of the submission as a tag like "es" or "pt-BR" (only the language part is stored)
+const languageTag = Joi.string().trim().max(35).pattern(/^[a-z]{2,3}([-_][a-z0-9]{1,8})*$/i).messages(localizeMessages({
+  'string.pattern.base': '{#label} must be a language code such as "en" or "es"'
+}));
+
+// Feedback submission schema
+// Shared by POST /api/feedback and the bulk importer so both apply the same rules
+// Messages are translated through localizeMessages; validate with joiOptions(locale)
+const feedbackValidation = Joi.object({
+  name: Joi.string().min(2).max(100).required().messages(localizeMessages({
+    'string.empty': 'Name is required',
+    'string.min': 'Name must be at least 2 characters long',
+    'string.max': 'Name cannot exceed 100 characters'
+  })),
+  email: Joi.string().email().required().messages(localizeMessages({
+    'string.empty': 'Email is required',
+    'string.email': 'Please provide a valid email address'
+  })),
+  contactNumber: Joi.string().min(10).max(20).optional().allow('').messages(localizeMessages({
+    'string.min': 'Contact number must be at least 10 digits',
+    'string.max': 'Contact number cannot exceed 20 characters'
+  })),
+  message: Joi.string().min(10).max(1000).required().messages(localizeMessages({
+    'string.empty': 'Message is required',
+    'string.min': 'Message must be at least 10 characters long',
+    'string.max': 'Message cannot exceed 1000 characters'
+  })),
+  rating: Joi.number().min(1).max(5).optional().default(5).messages(localizeMessages({
+    'number.min': 'Rating must be at least 1',
+    'number.max': 'Rating cannot exceed 5'
+  })),
+  device: deviceValidation,
+  lang: languageTag
+});
+
+// Public form submissions add the bot-protection fields:
+// `website` is a honeypot real users never see, `formToken` comes from GET /api/feedback/form-token
+const submissionValidation = feedbackValidation.keys({
+  website: Joi.string().allow('').max(500),
+  formToken: Joi.string().max(2000)
+});
+
+// Reports sent with a device key (POST /api/feedback/device)
+// The device block is required; name and email fall back to the key's settings
+const deviceSubmissionValidation = feedbackValidation.keys({
+  name: Joi.string().min(2).max(100),
+  email: Joi.string().email().messages(localizeMessages({
+    'string.email': 'Please provide a valid email address'
+  })),
+  device: deviceValidation.required()
+});
+
+// Historical import rows: a submission plus its original timestamp and state
+// Dates accept anything Date can parse (e.g. Google Forms "1/15/2025 14:32:10")
+const importRowValidation = feedbackValidation.keys({
+  createdAt: Joi.date().max('now').messages(localizeMessages({
+    'date.base': 'createdAt must be a valid date',
+    'date.max': 'createdAt cannot be in the future'
+  })),
+  status: Joi.string().valid(...Feedback.schema.path('status').enumValues),
+  isPublic: Joi.boolean(),
+  tags: Joi.alternatives().try(
+    Joi.array().items(Joi.string()),
+    Joi.string()
+  ).custom(value => [].concat(value)
+    .flatMap(tag => tag.split(/[;,]/))
+    .map(tag => tag.trim().toLowerCase())
+    .filter(Boolean))
+});
+
+module.exports = {
+  feedbackValidation,
+  deviceValidation,
+  submissionValidation,
+  deviceSubmissionValidation,
+  importRowValidation
+};